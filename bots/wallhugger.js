@@ -0,0 +1,31 @@
+// Example custom bot (see js/bot-api.js). Load it from the start screen with
+// the URL bots/wallhugger.js, or pick the file.
+//
+// Rides straight until something is in the way, then turns right if it can
+// and left if it can't. Jumps when every way on is blocked.
+const VECTOR = { NORTH: [0, -1], EAST: [1, 0], SOUTH: [0, 1], WEST: [-1, 0] };
+const RIGHT  = { NORTH: 'EAST', EAST: 'SOUTH', SOUTH: 'WEST', WEST: 'NORTH' };
+const LEFT   = { NORTH: 'WEST', WEST: 'SOUTH', SOUTH: 'EAST', EAST: 'NORTH' };
+
+function free({ grid, size }, gx, gz) {
+  return gx >= 0 && gz >= 0 && gx < size && gz < size && grid[gz][gx] === null;
+}
+
+function ahead(snapshot, dir) {
+  const { gx, gz } = snapshot.me;
+  const [dx, dz] = VECTOR[dir];
+  return free(snapshot, gx + dx, gz + dz);
+}
+
+export default {
+  name: 'WALLHUGGER',
+
+  decide(snapshot) {
+    const { dir, jumpsLeft, jumping } = snapshot.me;
+    if (jumping) return 'STRAIGHT';
+    if (ahead(snapshot, dir))        return 'STRAIGHT';
+    if (ahead(snapshot, RIGHT[dir])) return 'RIGHT';
+    if (ahead(snapshot, LEFT[dir]))  return 'LEFT';
+    return jumpsLeft > 0 ? 'JUMP' : 'STRAIGHT';
+  },
+};
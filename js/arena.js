@@ -0,0 +1,45 @@
+// Spawn layout and bike colours for any number of riders. Pure — no THREE.
+import { PLAYER_COLORS } from './constants.js';
+
+// Riders sit evenly on a ring a quarter of the arena out from the centre,
+// starting on the west side and going clockwise, each facing inwards.
+// With four riders on 80×80 this is the classic diamond at distance 20.
+export function spawnLayout(count, gridSize) {
+  const c = Math.floor(gridSize / 2);
+  const r = Math.round(gridSize / 4);
+  const spawns = [];
+  for (let i = 0; i < count; i++) {
+    const a  = Math.PI + (i / count) * Math.PI * 2;
+    const gx = c + Math.round(Math.cos(a) * r);
+    const gz = c + Math.round(Math.sin(a) * r);
+    const dx = c - gx, dz = c - gz;
+    const dir = Math.abs(dx) >= Math.abs(dz)
+      ? (dx >= 0 ? 'EAST' : 'WEST')
+      : (dz >= 0 ? 'SOUTH' : 'NORTH');
+    spawns.push([gx, gz, dir]);
+  }
+  return spawns;
+}
+
+function hslToHex(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return (Math.round(f(0) * 255) << 16) | (Math.round(f(8) * 255) << 8) | Math.round(f(4) * 255);
+}
+
+// Evenly spaced hues, skipping the cyan band the player rides in
+const CYAN_GAP = 50;   // degrees kept clear around 180°
+
+export function botColors(count) {
+  const arc = 360 - CYAN_GAP;
+  return Array.from({ length: count }, (_, i) => {
+    const t = (i / count) * arc;
+    const hue = t < 180 - CYAN_GAP / 2 ? t : t + CYAN_GAP;
+    return hslToHex(hue, 1, 0.5);
+  });
+}
+
+export function humanColor(playerNum) {
+  return PLAYER_COLORS[(playerNum - 1) % PLAYER_COLORS.length];
+}
@@ -1,35 +1,35 @@
 import * as THREE from 'three';
 import {
   CELL_SIZE, TRAIL_W, TRAIL_H, BIKE_Y, GLOW_Y,
-  DIR_ANGLE, DIR_VECTOR, TURN_LEFT, TURN_RIGHT,
-  JUMP_HEIGHT_WORLD, JUMP_DURATION_MS, MAX_JUMPS,
+  DIR_ANGLE, JUMP_HEIGHT_WORLD,
   gridToWorld,
 } from './constants.js';
 
+// Trails are one InstancedMesh per bike: every straight run of cells is an
+// instance of this unit box, stretched to fit. The run being laid is
+// rewritten in place each tick, and the buffer doubles when it fills, so a
+// tick allocates nothing and a bike costs one draw call however long it rides.
+const TRAIL_BOX      = new THREE.BoxGeometry(1, 1, 1);
+const TRAIL_CAPACITY = 64;             // runs before the first grow
+
+// Renders one BikeState from the simulation. Owns no game rules.
 export class Bike {
-  constructor(scene, id, color, gx, gz, dir) {
+  // `glow`: whether the bike carries its own PointLight (a graphics setting)
+  constructor(scene, state, gridSize, glow = true) {
     this.scene  = scene;
-    this.id     = id;
-    this.color  = color;
-    this.gx     = gx;
-    this.gz     = gz;
-    this.dir    = dir;
-    this.alive  = true;
-
-    this.pendingTurn = null; // 'LEFT' | 'RIGHT'
-
-    // Trail segment bookkeeping
-    this.segStart  = { gx, gz };
-    this.activeSeg = null;
-    this.segments  = [];           // finalised static segment meshes
-
-    // Grid cells this bike has claimed — used to clear the grid on death
-    this._trailGridCells = [];
-
-    // Jump state
-    this.jumpCount    = 0;
-    this._jumpStartMs = 0;         // 0 = not jumping
-    this._wasJumping  = false;
+    this.state  = state;
+    this.gridSize = gridSize;
+    this.id     = state.id;
+    this.color  = state.color;
+
+    // Trail segment bookkeeping; the last instance is the run being laid
+    this.segStart  = null;
+    this._drawn    = 0;            // state.trail entries already drawn
+    this._lastCell = null;
+    this._matrix   = new THREE.Matrix4();
+    this._pos      = new THREE.Vector3();
+    this._scale    = new THREE.Vector3();
+    this._quat     = new THREE.Quaternion();
 
     this._trailMat = new THREE.MeshStandardMaterial({
       color:             this.color,
@@ -39,145 +39,93 @@ export class Bike {
       opacity:           0.92,
     });
 
+    this.trail = this._buildTrail(TRAIL_CAPACITY);
+    this.scene.add(this.trail);
+
     this._buildMesh();
+    this.setGlow(glow);
+    this.sync();
+    if (!state.alive) this.die();
   }
 
   // ─── Public ───────────────────────────────────────────────────────────────
 
-  queueTurn(side) {
-    if (this.alive) this.pendingTurn = side;
-  }
-
-  isJumping() {
-    return this._jumpStartMs > 0
-      && (performance.now() - this._jumpStartMs) < JUMP_DURATION_MS;
-  }
-
-  jump() {
-    if (!this.alive || this.jumpCount >= MAX_JUMPS || this.isJumping()) return;
-    this.jumpCount++;
-    this._jumpStartMs = performance.now();
-  }
-
-  // Called by Game when marking a grid cell that belongs to this bike
-  recordTrailCell(gx, gz) {
-    this._trailGridCells.push({ gx, gz });
-  }
-
-  // Remove this bike's trail from the scene AND clear its cells in grid[][]
-  clearTrail(grid) {
-    this._trailGridCells.forEach(({ gx, gz }) => {
-      if (grid[gz]?.[gx] === this.id) grid[gz][gx] = null;
-    });
-    this._trailGridCells = [];
-
-    if (this.activeSeg) {
-      this.scene.remove(this.activeSeg);
-      this.activeSeg.geometry.dispose();
-      this.activeSeg = null;
-    }
-    this.segments.forEach(m => {
-      this.scene.remove(m);
-      m.geometry.dispose();
-    });
-    this.segments = [];
-
-    // Reset segment start so a new trail can begin if somehow still alive
-    this.segStart = { gx: this.gx, gz: this.gz };
-  }
-
-  // Peek at the next grid cell without moving (accounts for pending turn)
-  peekNext() {
-    const dir = this.pendingTurn
-      ? (this.pendingTurn === 'LEFT' ? TURN_LEFT[this.dir] : TURN_RIGHT[this.dir])
-      : this.dir;
-    const v = DIR_VECTOR[dir];
-    return { gx: this.gx + v.x, gz: this.gz + v.z };
-  }
-
-  // Execute one grid tick.
-  // Caller is responsible for grid[][] marking (via recordTrailCell) before calling this.
-  step() {
-    const jumping = this.isJumping();
-
-    if (this._wasJumping && !jumping) {
-      // Just landed — start a fresh trail segment from landing position
-      this.segStart = { gx: this.gx, gz: this.gz };
-    }
-    this._wasJumping = jumping;
-
-    if (!jumping) {
-      this._extendSegTo(this.gx, this.gz);
-    } else if (this.activeSeg) {
-      // Liftoff — seal the segment at the jump-start cell
-      this._finaliseSegment();
-    }
-
-    // Apply turn
-    if (this.pendingTurn) {
-      if (!jumping) this._finaliseSegment();
-      this.segStart = { gx: this.gx, gz: this.gz };
-      this.dir = this.pendingTurn === 'LEFT'
-        ? TURN_LEFT[this.dir] : TURN_RIGHT[this.dir];
-      this.pendingTurn = null;
+  // Called by Game after every simulation tick
+  sync() {
+    const s = this.state;
+    const trail = s.trail;
+    for (; this._drawn < trail.length; this._drawn++) {
+      this._addTrailCell(trail[this._drawn]);
     }
 
-    // Advance
-    const v = DIR_VECTOR[this.dir];
-    this.gx += v.x;
-    this.gz += v.z;
-
     // Update XZ immediately; Y is handled smoothly by updateVisual() every frame
-    const { x, z } = gridToWorld(this.gx, this.gz);
+    const { x, z } = gridToWorld(s.gx, s.gz, this.gridSize);
     this.mesh.position.x = x;
     this.mesh.position.z = z;
-    this.mesh.rotation.y = DIR_ANGLE[this.dir];
+    this.mesh.rotation.y = DIR_ANGLE[s.dir];
     this.glow.position.x = x;
     this.glow.position.z = z;
 
-    if (!jumping) {
+    if (!s.isJumping()) {
       this.mesh.position.y = BIKE_Y;
       this.glow.position.y  = GLOW_Y;
     }
   }
 
-  // Called every render frame for smooth jump arc animation
-  updateVisual() {
-    if (this._jumpStartMs === 0) return;
-    const elapsed = performance.now() - this._jumpStartMs;
-    if (elapsed < JUMP_DURATION_MS) {
-      const t = elapsed / JUMP_DURATION_MS;
-      const h = Math.sin(t * Math.PI) * JUMP_HEIGHT_WORLD;
-      this.mesh.position.y = BIKE_Y + h;
-      this.glow.position.y  = GLOW_Y  + h;
-    } else {
-      this.mesh.position.y = BIKE_Y;
-      this.glow.position.y  = GLOW_Y;
-      this._jumpStartMs = 0;
-    }
+  // Called every render frame for smooth jump arc animation.
+  // `alpha` (0–1) is how far the clock is between the last tick and the next.
+  updateVisual(alpha) {
+    if (!this.state.isJumping()) return;
+    const t = this.state.jumpProgress(alpha);
+    const h = Math.sin(t * Math.PI) * JUMP_HEIGHT_WORLD;
+    this.mesh.position.y = BIKE_Y + h;
+    this.glow.position.y  = GLOW_Y  + h;
+  }
+
+  // Stop drawing this bike's trail; the buffer stays for reuse
+  clearTrail() {
+    this.trail.count = 0;
+    this.segStart  = null;
+    this._lastCell = null;
+    this._drawn    = this.state.trail.length;
+  }
+
+  // Hand the drawn trail to someone else (a derez effect, which then owns
+  // it) and carry on with an empty one
+  detachTrail() {
+    const trail = this.trail;
+    this.trail = this._buildTrail(TRAIL_CAPACITY);
+    this.scene.add(this.trail);
+    this.clearTrail();
+    return trail;
+  }
+
+  // Redraw the whole trail from state — after cells were removed mid-trail
+  redrawTrail() {
+    this.clearTrail();
+    this._drawn = 0;
+    this.sync();
   }
 
   die() {
-    this.alive = false;
-    this._finaliseSegment();
     this.mesh.material.emissiveIntensity = 0.15;
     this.mesh.material.transparent = true;
     this.mesh.material.opacity     = 0.35;
     this.glow.intensity = 0;
   }
 
+  // Hidden lights drop out of the renderer's light count entirely
+  setGlow(on) {
+    this.glow.visible = on;
+  }
+
   dispose() {
     this.scene.remove(this.mesh);
     this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
     this.scene.remove(this.glow);
-    if (this.activeSeg) {
-      this.scene.remove(this.activeSeg);
-      this.activeSeg.geometry.dispose();
-    }
-    this.segments.forEach(m => {
-      this.scene.remove(m);
-      m.geometry.dispose();
-    });
+    this.scene.remove(this.trail);
+    this.trail.dispose();
     this._trailMat.dispose();
   }
 
@@ -199,9 +147,9 @@ export class Bike {
     this.mesh = new THREE.Mesh(geo, mat);
     this.mesh.castShadow = true;
 
-    const { x, z } = gridToWorld(this.gx, this.gz);
+    const { x, z } = gridToWorld(this.state.gx, this.state.gz, this.gridSize);
     this.mesh.position.set(x, BIKE_Y, z);
-    this.mesh.rotation.y = DIR_ANGLE[this.dir];
+    this.mesh.rotation.y = DIR_ANGLE[this.state.dir];
     this.scene.add(this.mesh);
 
     this.glow = new THREE.PointLight(this.color, 3, CELL_SIZE * 7);
@@ -209,37 +157,69 @@ export class Bike {
     this.scene.add(this.glow);
   }
 
-  _extendSegTo(toGx, toGz) {
-    if (this.activeSeg) {
-      this.scene.remove(this.activeSeg);
-      this.activeSeg.geometry.dispose();
-      this.activeSeg = null;
+  _buildTrail(capacity) {
+    const trail = new THREE.InstancedMesh(TRAIL_BOX, this._trailMat, capacity);
+    trail.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    trail.frustumCulled = false;   // instances move; the bounds would go stale
+    trail.count = 0;
+    return trail;
+  }
+
+  // Double the trail buffer, keeping every run drawn so far
+  _growTrail() {
+    const old   = this.trail;
+    const grown = this._buildTrail(old.instanceMatrix.count * 2);
+    grown.instanceMatrix.array.set(old.instanceMatrix.array);
+    grown.count = old.count;
+    this.scene.remove(old);
+    old.dispose();
+    this.scene.add(grown);
+    this.trail = grown;
+  }
+
+  // Trail cells arrive in the order they were laid. A cell in line with the
+  // active segment extends it; a turn starts a new segment at the corner; a
+  // gap (the bike was airborne) starts a fresh segment at the landing cell.
+  _addTrailCell(cell) {
+    const last     = this._lastCell;
+    const adjacent = last
+      && Math.abs(cell.gx - last.gx) + Math.abs(cell.gz - last.gz) === 1;
+    this._lastCell = cell;
+
+    if (!adjacent) {
+      this._openSegment();
+      this.segStart = cell;
+    } else if (this.segStart.gx !== cell.gx && this.segStart.gz !== cell.gz) {
+      this._openSegment();
+      this.segStart = last;
     }
+    this._extendSegTo(cell.gx, cell.gz);
+  }
 
-    const { x: wx1, z: wz1 } = gridToWorld(this.segStart.gx, this.segStart.gz);
-    const { x: wx2, z: wz2 } = gridToWorld(toGx, toGz);
+  _openSegment() {
+    if (this.trail.count === this.trail.instanceMatrix.count) this._growTrail();
+    this.trail.count++;
+  }
+
+  // Stretch the active segment from segStart to (toGx, toGz)
+  _extendSegTo(toGx, toGz) {
+    const { x: wx1, z: wz1 } = gridToWorld(this.segStart.gx, this.segStart.gz, this.gridSize);
+    const { x: wx2, z: wz2 } = gridToWorld(toGx, toGz, this.gridSize);
 
-    const midX  = (wx1 + wx2) / 2;
-    const midZ  = (wz1 + wz2) / 2;
     const horiz = (this.segStart.gz === toGz);
     const cells = horiz
       ? Math.abs(toGx - this.segStart.gx) + 1
       : Math.abs(toGz - this.segStart.gz) + 1;
     const len = cells * CELL_SIZE;
 
-    const geo = horiz
-      ? new THREE.BoxGeometry(len, TRAIL_H, TRAIL_W)
-      : new THREE.BoxGeometry(TRAIL_W, TRAIL_H, len);
+    this._pos.set((wx1 + wx2) / 2, TRAIL_H / 2, (wz1 + wz2) / 2);
+    if (horiz) this._scale.set(len, TRAIL_H, TRAIL_W);
+    else       this._scale.set(TRAIL_W, TRAIL_H, len);
 
-    this.activeSeg = new THREE.Mesh(geo, this._trailMat);
-    this.activeSeg.position.set(midX, TRAIL_H / 2, midZ);
-    this.scene.add(this.activeSeg);
-  }
-
-  _finaliseSegment() {
-    if (this.activeSeg) {
-      this.segments.push(this.activeSeg);
-      this.activeSeg = null;
-    }
+    const i      = this.trail.count - 1;
+    const matrix = this.trail.instanceMatrix;
+    this.trail.setMatrixAt(i, this._matrix.compose(this._pos, this._quat, this._scale));
+    matrix.addUpdateRange(i * 16, 16);
+    matrix.needsUpdate = true;
   }
 }
@@ -0,0 +1,79 @@
+// Third-party bot interface. A custom bot is an ES module whose default
+// export looks like:
+//
+//   export default {
+//     name: 'WALLHUGGER',                 // shown in menus; 1–16 characters
+//     decide(snapshot) {                  // called once per tick
+//       return 'STRAIGHT';                // 'LEFT' | 'RIGHT' | 'STRAIGHT' | 'JUMP'
+//     },
+//   };
+//
+// `snapshot` is read-only and describes the arena as this tick begins:
+//
+//   {
+//     tick:      42,
+//     size:      80,                                  // grid is size × size
+//     grid:      [[null, -1, 3, ...], ...],           // grid[gz][gx]: null free,
+//                                                     // -1 wall, else the id of
+//                                                     // the bike whose trail it is
+//     me:        { id, gx, gz, dir, jumpsLeft, jumping },
+//     opponents: [{ id, gx, gz, dir, jumpsLeft, jumping }, ...],   // live ones
+//   }
+//
+// `dir` is 'NORTH' | 'EAST' | 'SOUTH' | 'WEST'; NORTH is towards gz − 1 and
+// EAST towards gx + 1. LEFT and RIGHT turn relative to `dir`. JUMP hops the
+// next JUMP_TICKS cells (walls and the arena edge still kill) and does
+// nothing once `jumpsLeft` is 0. Anything else — a bad value, a thrown error
+// or an answer later than BOT_TIMEOUT_MS — counts as STRAIGHT.
+//
+// Modules loaded in the browser run in their own worker (bot-worker.js), so
+// they can't touch the page and a stuck one is simply cut off. Module state
+// is per bike: every rider gets a fresh copy. The worker is asked between
+// ticks and its answer has to be back before the next tick runs, so when
+// ticks come faster than BOT_TIMEOUT_MS apart (fast-forward, a sped-up
+// replay) a bot can be on time and still ride STRAIGHT.
+//
+// Headless runs (tools/tournament.js) host each rider's copy in a worker
+// thread instead (tools/thread-bot.js), with the same limit.
+
+export const DECISIONS = ['LEFT', 'RIGHT', 'STRAIGHT', 'JUMP'];
+
+export const BOT_TIMEOUT_MS = 15;
+
+// Check a module's default export; throws an Error naming the problem
+export function checkBotModule(impl) {
+  if (!impl || typeof impl.decide !== 'function') {
+    throw new Error('Bot module must export default { name, decide(snapshot) }');
+  }
+  const name = typeof impl.name === 'string' ? impl.name.trim() : '';
+  if (!name || name.length > 16) throw new Error('Bot name must be 1–16 characters');
+  return { name: name.toUpperCase(), decide: impl.decide.bind(impl) };
+}
+
+// Anything outside DECISIONS means "carry on"
+export function toDecision(value) {
+  return DECISIONS.includes(value) ? value : 'STRAIGHT';
+}
+
+function rider(bike) {
+  return Object.freeze({
+    id:        bike.id,
+    gx:        bike.gx,
+    gz:        bike.gz,
+    dir:       bike.dir,
+    jumpsLeft: Math.max(0, bike.maxJumps - bike.jumpCount),
+    jumping:   bike.isJumping(),
+  });
+}
+
+// What `bike` gets to see this tick. Copies the grid, so a bot can't reach
+// back into the simulation.
+export function botSnapshot(bike, grid, bikes, tick) {
+  return Object.freeze({
+    tick,
+    size:      grid.length,
+    grid:      Object.freeze(grid.map(row => Object.freeze(row.slice()))),
+    me:        rider(bike),
+    opponents: Object.freeze(bikes.filter(b => b.alive && b !== bike).map(rider)),
+  });
+}
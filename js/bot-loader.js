@@ -0,0 +1,85 @@
+// Loads custom bot modules in the browser and runs each rider's copy in its
+// own worker. Simulation stays synchronous: between ticks the worker gets
+// the coming tick's snapshot (prepare), and when that tick runs the bot
+// rides on whatever answer has arrived — none in time means STRAIGHT.
+import { BOT_TIMEOUT_MS } from './bot-api.js';
+import { registerBot } from './bot.js';
+
+const WORKER_URL = new URL('./bot-worker.js', import.meta.url);
+const LOAD_MS    = 5000;   // to fetch and evaluate the module
+const HUNG_MS    = 1000;   // a worker this late on one answer is restarted
+
+class WorkerBot {
+  constructor(url) {
+    this.url     = url;
+    this._answer = null;       // { tick, decision } for the latest snapshot
+    this._asked  = null;       // { tick, at } while an answer is outstanding
+    this._spawn();
+  }
+
+  decide(snapshot) {
+    return this._answer?.tick === snapshot.tick ? this._answer.decision : 'STRAIGHT';
+  }
+
+  prepare(snapshot) {
+    if (this._asked) {
+      // Still busy on an older tick: skip this one, or give up on it
+      if (performance.now() - this._asked.at < HUNG_MS) return;
+      this._worker.terminate();
+      this._spawn();
+    }
+    if (!this.ready) return;
+    this._asked = { tick: snapshot.tick, at: performance.now() };
+    this._worker.postMessage({ t: 'think', snapshot });
+  }
+
+  dispose() {
+    this._worker.terminate();
+  }
+
+  _spawn() {
+    this.ready   = false;
+    this._asked  = null;
+    this._worker = new Worker(WORKER_URL, { type: 'module' });
+    this.loaded  = new Promise((resolve, reject) => {
+      this._worker.addEventListener('message', ({ data }) => {
+        switch (data.t) {
+          case 'ready':
+            this.ready = true;
+            resolve(data.name);
+            break;
+          case 'error':
+            reject(new Error(data.message));
+            break;
+          case 'decision': {
+            const asked = this._asked;
+            if (asked?.tick !== data.tick) break;
+            this._asked = null;
+            if (performance.now() - asked.at <= BOT_TIMEOUT_MS) this._answer = data;
+            break;
+          }
+        }
+      });
+      this._worker.addEventListener('error', e => reject(new Error(e.message || 'Bot module failed to load')));
+      setTimeout(() => reject(new Error('Bot module took too long to load')), LOAD_MS);
+    });
+    this.loaded.catch(() => {});   // a failed reload just leaves the bot riding straight
+    this._worker.postMessage({ t: 'load', url: this.url });
+  }
+}
+
+// Load a bot module from a URL or a local File, check it and register it.
+// Resolves to the name it registered under.
+export async function loadBotModule(source) {
+  const url = source instanceof Blob
+    ? URL.createObjectURL(new Blob([await source.text()], { type: 'text/javascript' }))
+    : new URL(source, location.href).href;
+
+  const probe = new WorkerBot(url);
+  try {
+    const name = await probe.loaded;
+    return registerBot(name, () => new WorkerBot(url));
+  } finally {
+    probe.dispose();
+  }
+}
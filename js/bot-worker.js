@@ -0,0 +1,32 @@
+// Hosts one custom bot module off the main thread (see bot-api.js).
+//
+//   in   { t: 'load',  url }              out  { t: 'ready', name }
+//                                              { t: 'error', message }
+//   in   { t: 'think', snapshot }         out  { t: 'decision', tick, decision }
+import { checkBotModule, toDecision } from './bot-api.js';
+
+let bot = null;
+
+self.addEventListener('message', async ({ data }) => {
+  switch (data.t) {
+    case 'load':
+      try {
+        bot = checkBotModule((await import(data.url)).default);
+        self.postMessage({ t: 'ready', name: bot.name });
+      } catch (err) {
+        self.postMessage({ t: 'error', message: err.message });
+      }
+      break;
+    case 'think': {
+      if (!bot) break;
+      let decision;
+      try {
+        decision = toDecision(bot.decide(data.snapshot));
+      } catch {
+        decision = 'STRAIGHT';
+      }
+      self.postMessage({ t: 'decision', tick: data.snapshot.tick, decision });
+      break;
+    }
+  }
+});
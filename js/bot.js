@@ -1,13 +1,40 @@
-import { DIR_VECTOR, TURN_LEFT, TURN_RIGHT, GRID_SIZE } from './constants.js';
+import {
+  DIR_VECTOR, TURN_LEFT, TURN_RIGHT, BOOST_METER, JUMP_TICKS, WALL,
+} from './constants.js';
+import { BOT_TIMEOUT_MS, botSnapshot, toDecision } from './bot-api.js';
+
+export const PERSONALITIES = ['AVOIDANT', 'ENGAGING', 'AGGRESSIVE', 'STRATEGIST'];
+
+// How well a bot plays, whatever its personality:
+//   reaction — ticks between re-plans (it still swerves from a wall dead ahead)
+//   look     — scale on look-ahead distances, flood-fill caps and search depth
+//   predict  — ticks AGGRESSIVE extrapolates the player's path
+//   mistakes — chance per decision of taking any safe move instead of the best
+//   jumps    — whether it jumps at all
+export const DIFFICULTY = {
+  EASY:   { reaction: 2, look: 0.5, predict: 1, mistakes: 0.1, jumps: false },
+  NORMAL: { reaction: 0, look: 1,   predict: 3, mistakes: 0,   jumps: true  },
+  HARD:   { reaction: 0, look: 1.5, predict: 6, mistakes: 0,   jumps: true  },
+};
+
+export const DIFFICULTY_LEVELS = Object.keys(DIFFICULTY);
+
+// Scoring weights for the hand-tuned personalities. A Bot carries its own
+// reference, so tools/tournament.js can pit variants against each other.
+export const WEIGHTS = {
+  ENGAGING:   { reach: 5, space: 0.8, pickup: 4 },
+  AGGRESSIVE: { intercept: 0.6, space: 0.4, pickup: 2, huntRange: 30 },
+};
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-function inBounds(gx, gz) {
-  return gx >= 0 && gx < GRID_SIZE && gz >= 0 && gz < GRID_SIZE;
+// Grid is square and sized per match, so bounds come from the grid itself
+function inBounds(gx, gz, grid) {
+  return gz >= 0 && gz < grid.length && gx >= 0 && gx < grid[gz].length;
 }
 
 function isFree(gx, gz, grid) {
-  return inBounds(gx, gz) && grid[gz][gx] === null;
+  return inBounds(gx, gz, grid) && grid[gz][gx] === null;
 }
 
 // Straight-line look-ahead: returns number of free cells before a wall (0 = blocked)
@@ -19,9 +46,9 @@ function lookAhead(gx, gz, dir, steps, grid) {
   return steps;
 }
 
-// BFS flood fill – returns reachable cell count up to cap
-function floodFill(gx, gz, grid, cap = 300) {
-  if (!isFree(gx, gz, grid)) return 0;
+// BFS flood fill – returns the reachable cells ("gx,gz" keys), up to cap
+function floodRegion(gx, gz, grid, cap = 300) {
+  if (!isFree(gx, gz, grid)) return new Set();
   const visited = new Set([`${gx},${gz}`]);
   const queue   = [[gx, gz]];
   while (queue.length && visited.size < cap) {
@@ -35,7 +62,35 @@ function floodFill(gx, gz, grid, cap = 300) {
       }
     }
   }
-  return visited.size;
+  return visited;
+}
+
+// How many cells floodRegion would return, visited in the same order. Bots
+// call this several times a tick, so it runs on the flat search buffers
+// rather than building the set.
+export function floodFill(gx, gz, grid, cap = 300) {
+  if (!isFree(gx, gz, grid)) return 0;
+  const n = grid.length;
+  const s = scratchFor(n);
+  const { seen, queue } = s;
+  const gen = ++s.gen;
+  seen[gz * n + gx] = gen;
+  queue[0] = gz * n + gx;
+  let head = 0, tail = 1;
+  const visit = (x, z) => {
+    if (x < 0 || z < 0 || x >= n || z >= n || grid[z][x] !== null || seen[z * n + x] === gen) return;
+    seen[z * n + x] = gen;
+    queue[tail++]   = z * n + x;
+  };
+  while (head < tail && tail < cap) {
+    const k = queue[head++];
+    const x = k % n, z = (k - x) / n;
+    visit(x + 1, z);
+    visit(x - 1, z);
+    visit(x, z + 1);
+    visit(x, z - 1);
+  }
+  return tail;
 }
 
 // All moves a bike can make this tick without immediately dying
@@ -55,25 +110,62 @@ function safeOptions(bike, grid) {
     .filter(c => c.safe);
 }
 
+// How strongly a cell draws a bot towards power-ups: the closer the nearest
+// one within PICKUP_RANGE, the bigger the pull (0 when none are in range)
+const PICKUP_RANGE = 12;
+
+function pickupPull(gx, gz, pickups) {
+  let best = 0;
+  for (const p of pickups?.values() ?? []) {
+    const d = Math.abs(p.gx - gx) + Math.abs(p.gz - gz);
+    if (d < PICKUP_RANGE) best = Math.max(best, PICKUP_RANGE - d);
+  }
+  return best;
+}
+
+// A distance or cap scaled by difficulty
+function scaled(value, skill) {
+  return Math.max(1, Math.round(value * skill.look));
+}
+
 function applyChoice(bike, choice) {
   if (choice && choice.turn) bike.queueTurn(choice.turn);
 }
 
+// ─── Debug trace ─────────────────────────────────────────────────────────────
+
+// What the deciding bot weighed, for the debug overlay. Only set while a
+// Bot with `debug` on is deciding, so normal play pays nothing for it.
+let trace = null;
+
+// `scored` is sorted best first; the region is the flood fill behind the
+// move taken
+function noteOptions(scored, grid, cap) {
+  if (!trace) return;
+  trace.options = scored.map(o => ({ gx: o.nx, gz: o.nz, dir: o.dir, score: o.score }));
+  trace.region  = [...floodRegion(scored[0].nx, scored[0].nz, grid, cap)]
+    .map(k => k.split(',').map(Number));
+}
+
 // ─── Personalities ───────────────────────────────────────────────────────────
 
 /**
  * AVOIDANT – maximises personal survival.
- * Scores moves by flood-fill space then look-ahead distance.
+ * Scores moves by flood-fill space then look-ahead distance; a nearby
+ * power-up only tips the balance between otherwise equal moves.
  */
-export function decideAvoidant(bike, grid) {
+export function decideAvoidant(bike, grid, pickups, skill = DIFFICULTY.NORMAL) {
   const opts = safeOptions(bike, grid);
   if (opts.length === 0) return;
 
   const scored = opts.map(o => ({
     ...o,
-    score: floodFill(o.nx, o.nz, grid) * 10 + lookAhead(o.nx, o.nz, o.dir, 12, grid),
+    score: floodFill(o.nx, o.nz, grid, scaled(300, skill)) * 10
+         + lookAhead(o.nx, o.nz, o.dir, scaled(12, skill), grid)
+         + pickupPull(o.nx, o.nz, pickups),
   }));
   scored.sort((a, b) => b.score - a.score);
+  noteOptions(scored, grid, scaled(300, skill));
   applyChoice(bike, scored[0]);
 }
 
@@ -81,18 +173,22 @@ export function decideAvoidant(bike, grid) {
  * ENGAGING – area-denial.
  * Prefers moves that maximise straight-line reach (cutting across the map)
  * while still keeping enough flood-fill space to avoid imminent death.
+ * Detours for power-ups that are close by.
  */
-export function decideEngaging(bike, grid) {
+export function decideEngaging(bike, grid, pickups, skill = DIFFICULTY.NORMAL, weights = WEIGHTS) {
   const opts = safeOptions(bike, grid);
   if (opts.length === 0) return;
 
+  const w = weights.ENGAGING;
   const scored = opts.map(o => {
-    const space  = floodFill(o.nx, o.nz, grid, 200);
-    const reach  = lookAhead(o.nx, o.nz, o.dir, 20, grid);
+    const space  = floodFill(o.nx, o.nz, grid, scaled(200, skill));
+    const reach  = lookAhead(o.nx, o.nz, o.dir, scaled(20, skill), grid);
+    const pull   = pickupPull(o.nx, o.nz, pickups);
     // Weight ahead-distance heavily – this creates long cuts across the map
-    return { ...o, score: reach * 5 + space * 0.8 };
+    return { ...o, score: reach * w.reach + space * w.space + pull * w.pickup };
   });
   scored.sort((a, b) => b.score - a.score);
+  noteOptions(scored, grid, scaled(200, skill));
   applyChoice(bike, scored[0]);
 }
 
@@ -100,10 +196,11 @@ export function decideEngaging(bike, grid) {
  * AGGRESSIVE – tries to intercept the player, but not clairvoyantly.
  * Only actively hunts when close; falls back to engaging when far away.
  * Requires meaningful safety so it doesn't blindly suicide.
+ * Grabs power-ups on the way when they're no real detour.
  */
-export function decideAggressive(bike, grid, playerBike) {
+export function decideAggressive(bike, grid, playerBike, pickups, skill = DIFFICULTY.NORMAL, weights = WEIGHTS) {
   if (!playerBike || !playerBike.alive) {
-    decideAvoidant(bike, grid);
+    decideAvoidant(bike, grid, pickups, skill);
     return;
   }
 
@@ -113,50 +210,522 @@ export function decideAggressive(bike, grid, playerBike) {
   const manDist = Math.abs(bike.gx - playerBike.gx) + Math.abs(bike.gz - playerBike.gz);
 
   // Beyond ~30 cells, hunting is ineffective — use engaging (area denial) instead
-  if (manDist > 30) {
-    decideEngaging(bike, grid);
+  const w = weights.AGGRESSIVE;
+  if (manDist > w.huntRange) {
+    decideEngaging(bike, grid, pickups, skill, weights);
     return;
   }
 
-  // Predict player position only 3 ticks ahead (not telepathic)
-  const PRED = 3;
+  // Predict player position only a few ticks ahead (not telepathic)
+  const PRED = skill.predict;
   const pv    = DIR_VECTOR[playerBike.dir];
   const predX = playerBike.gx + pv.x * PRED;
   const predZ = playerBike.gz + pv.z * PRED;
+  if (trace) trace.predicted = { gx: predX, gz: predZ };
 
   const scored = opts.map(o => {
     const interceptDist = Math.abs(o.nx - predX) + Math.abs(o.nz - predZ);
     const safety        = lookAhead(o.nx, o.nz, o.dir, 6, grid);
-    const space         = floodFill(o.nx, o.nz, grid, 150);
+    const space         = floodFill(o.nx, o.nz, grid, scaled(150, skill));
 
     // Require at least 4 clear cells ahead — won't blindly charge into corners
     if (safety < 4) return { ...o, score: -999 };
 
     // Balance: 60% intercept drive, 40% self-preservation
-    return { ...o, score: (80 - interceptDist) * 0.6 + space * 0.4 };
+    const pull = pickupPull(o.nx, o.nz, pickups);
+    return { ...o, score: (80 - interceptDist) * w.intercept + space * w.space + pull * w.pickup };
   });
   scored.sort((a, b) => b.score - a.score);
+  noteOptions(scored, grid, scaled(150, skill));
 
   if (scored[0].score < 0) {
-    decideAvoidant(bike, grid);
+    decideAvoidant(bike, grid, pickups, skill);
     return;
   }
   applyChoice(bike, scored[0]);
 }
 
+// ─── Strategist ──────────────────────────────────────────────────────────────
+
+// The search is bounded by node count and depth only, so a seed plays out
+// the same on every machine. SEARCH_BUDGET_MS is a safety net the browser
+// sets so a slow machine can't stall a frame; it's far above what the node
+// cap normally costs, and headless runs (tournament, RL, server) don't set it.
+export const SEARCH_BUDGET_MS = 30;
+const STRATEGIST_MAX_NODES = 800;    // search cap per decision, scaled by difficulty
+const STRATEGIST_MAX_DEPTH = 10;     // rounds of one move each
+const TERRITORY_RADIUS     = 8;      // leaves only count cells this many moves out, scaled too
+const WIN = 1e6;
+
+class SearchAbort extends Error {}
+
+// Flat copy of the grid for fast search: 1 = blocked. Every live bike's
+// current cell counts as blocked — it becomes trail the moment they leave.
+function occupancy(grid, bikes) {
+  const n     = grid.length;
+  const cells = new Uint8Array(n * n);
+  for (let gz = 0; gz < n; gz++) {
+    for (let gx = 0; gx < n; gx++) cells[gz * n + gx] = grid[gz][gx] === null ? 0 : 1;
+  }
+  bikes.forEach(b => { if (b.alive) cells[b.gz * n + b.gx] = 1; });
+  return cells;
+}
+
+// Free neighbours of flat cell k
+function freeNeighbours(cells, n, k) {
+  const out = [];
+  const x = k % n;
+  if (x > 0         && !cells[k - 1]) out.push(k - 1);
+  if (x < n - 1     && !cells[k + 1]) out.push(k + 1);
+  if (k >= n        && !cells[k - n]) out.push(k - n);
+  if (k < n * n - n && !cells[k + n]) out.push(k + n);
+  return out;
+}
+
+// Voronoi territory: free cells `a` reaches strictly before `b`, minus the
+// reverse. Cells both reach at the same distance belong to nobody, and so
+// does anything more than `radius` moves from both: a leaf costs the same
+// on a big arena as on a small one. `seen` stamps stand in for clearing
+// `owner` between calls.
+function territory(cells, n, a, b, radius, scratch) {
+  const { owner, dist, queue, seen } = scratch;
+  const gen = ++scratch.gen;
+  seen[a] = gen; owner[a] = 1; dist[a] = 0;
+  seen[b] = gen; owner[b] = 2; dist[b] = 0;
+  queue[0] = a; queue[1] = b;
+  let head = 0, tail = 2;
+  const visit = (k, nk) => {
+    if (cells[nk]) return;
+    if (seen[nk] !== gen) {
+      seen[nk]  = gen;
+      owner[nk] = owner[k];
+      dist[nk]  = dist[k] + 1;
+      queue[tail++] = nk;
+    } else if (owner[nk] !== owner[k] && owner[nk] !== 3 && dist[nk] === dist[k] + 1) {
+      owner[nk] = 3;
+    }
+  };
+  // Hot loop — neighbours inlined rather than built as arrays
+  while (head < tail) {
+    const k = queue[head++];
+    if (dist[k] >= radius) continue;
+    const x = k % n;
+    if (x > 0)         visit(k, k - 1);
+    if (x < n - 1)     visit(k, k + 1);
+    if (k >= n)        visit(k, k - n);
+    if (k < n * n - n) visit(k, k + n);
+  }
+  let score = 0;
+  for (let i = 2; i < tail; i++) {
+    const o = owner[queue[i]];
+    if (o === 1) score++;
+    else if (o === 2) score--;
+  }
+  return score;
+}
+
+// Size of the free region around cell k (k itself must be marked blocked)
+function regionSize(cells, n, k, scratch) {
+  const { owner, queue } = scratch;
+  owner.fill(0);
+  owner[k] = 1;
+  queue[0] = k;
+  let head = 0, tail = 1;
+  while (head < tail) {
+    for (const nk of freeNeighbours(cells, n, queue[head++])) {
+      if (!owner[nk]) { owner[nk] = 1; queue[tail++] = nk; }
+    }
+  }
+  return tail - 1;
+}
+
+// The opponent closest by path whose head borders our region, or null if
+// we're sealed off from everyone
+function nearestRival(cells, n, me, rivals, scratch) {
+  const heads = new Map(rivals.map(r => [r.gz * n + r.gx, r]));
+  const { owner, queue } = scratch;
+  owner.fill(0);
+  owner[me] = 1;
+  queue[0] = me;
+  let head = 0, tail = 1;
+  while (head < tail) {
+    const k = queue[head++];
+    const x = k % n;
+    for (const nk of [x > 0 ? k - 1 : -1, x < n - 1 ? k + 1 : -1, k - n, k + n]) {
+      if (nk < 0 || nk >= n * n) continue;
+      if (heads.has(nk)) return heads.get(nk);
+      if (!cells[nk] && !owner[nk]) { owner[nk] = 1; queue[tail++] = nk; }
+    }
+  }
+  return null;
+}
+
+function checkBudget(ctx) {
+  if (++ctx.nodes > ctx.maxNodes) throw new SearchAbort();
+  // Wall clock only when a budget was given; see SEARCH_BUDGET_MS
+  if (ctx.deadline !== Infinity && performance.now() > ctx.deadline) throw new SearchAbort();
+}
+
+// Alpha-beta over alternating moves, us first. Depth is in rounds.
+function alphaBeta(ctx, me, opp, depth, alpha, beta) {
+  checkBudget(ctx);
+  const { cells, n } = ctx;
+
+  const mine = freeNeighbours(cells, n, me);
+  if (mine.length === 0) {
+    return freeNeighbours(cells, n, opp).length === 0 ? 0 : -WIN - depth;
+  }
+  let best = -Infinity;
+  for (const m of mine) {
+    best = Math.max(best, afterMove(ctx, m, opp, depth, Math.max(alpha, best)));
+    if (best >= beta) break;
+  }
+  return best;
+}
+
+// Value of us having moved to m: the opponent answers with whatever is worst
+// for us. Driving into the cell we just took is a head-on — both die, 0.
+// Stops early once the answer can't beat `floor`.
+function afterMove(ctx, m, opp, depth, floor) {
+  const { cells, n } = ctx;
+  const headOn = freeNeighbours(cells, n, opp).includes(m);
+  cells[m] = 1;
+  const theirs = freeNeighbours(cells, n, opp);
+  let worst = headOn ? 0 : theirs.length === 0 ? WIN + depth : Infinity;
+  for (const o of theirs) {
+    if (worst <= floor) break;
+    cells[o] = 1;
+    let v;
+    if (depth <= 1) {
+      checkBudget(ctx);
+      v = territory(cells, n, m, o, ctx.radius, ctx.scratch);
+    } else {
+      v = alphaBeta(ctx, m, o, depth - 1, floor, worst);
+    }
+    cells[o] = 0;
+    worst = Math.min(worst, v);
+  }
+  cells[m] = 0;
+  return worst;
+}
+
+// Search buffers, reused between decisions on the same grid size
+let scratch = null;
+
+function scratchFor(n) {
+  if (scratch?.n !== n) {
+    scratch = {
+      n,
+      owner: new Uint8Array(n * n),
+      dist:  new Int32Array(n * n),
+      queue: new Int32Array(n * n),
+      seen:  new Int32Array(n * n),
+      gen:   0,
+    };
+  }
+  return scratch;
+}
+
+// Sealed in alone: take the move that keeps the most room, hugging walls
+// (fewest free neighbours) so the space gets filled rather than split
+function fillMove(ctx, moves) {
+  const { cells, n, scratch } = ctx;
+  let best = null, bestScore = -Infinity;
+  for (const m of moves) {
+    cells[m] = 1;
+    const score = regionSize(cells, n, m, scratch) * 4 - freeNeighbours(cells, n, m).length;
+    cells[m] = 0;
+    if (score > bestScore) { best = m; bestScore = score; }
+  }
+  return best;
+}
+
+/**
+ * STRATEGIST – plays for territory.
+ * Splits the free cells Voronoi-style (who gets there first) and runs an
+ * iterative-deepening alpha-beta search against the nearest opponent it
+ * shares space with. Once sealed into its own region it switches to
+ * space-filling. Every decision stops after STRATEGIST_MAX_NODES (or at
+ * `budgetMs`, if one is given) and keeps the deepest fully searched answer.
+ * Difficulty scales the node cap and how far out leaves count territory:
+ * EASY mostly completes 2–3 rounds, NORMAL 3–4 and HARD 3–5.
+ */
+export function decideStrategist(bike, grid, bikes, budgetMs = Infinity, skill = DIFFICULTY.NORMAL) {
+  const n     = grid.length;
+  const cells = occupancy(grid, bikes);
+  const me    = bike.gz * n + bike.gx;
+  const ctx   = {
+    cells, n,
+    nodes:    0,
+    maxNodes: scaled(STRATEGIST_MAX_NODES, skill),
+    radius:   scaled(TERRITORY_RADIUS, skill),
+    deadline: performance.now() + budgetMs,
+    scratch:  scratchFor(n),
+  };
+
+  // Only moves the bike can make: straight or a 90° turn
+  const choices = [
+    { turn: null,    dir: bike.dir },
+    { turn: 'LEFT',  dir: TURN_LEFT[bike.dir]  },
+    { turn: 'RIGHT', dir: TURN_RIGHT[bike.dir] },
+  ].map(c => {
+    const v = DIR_VECTOR[c.dir];
+    const gx = bike.gx + v.x, gz = bike.gz + v.z;
+    return { ...c, k: inBounds(gx, gz, grid) ? gz * n + gx : -1 };
+  }).filter(c => c.k !== -1 && !cells[c.k]);
+  if (choices.length === 0) return;
+
+  const rivals = bikes.filter(b => b.alive && b !== bike);
+  const rival  = nearestRival(cells, n, me, rivals, ctx.scratch);
+  const moves  = choices.map(c => c.k);
+
+  let pick;
+  if (!rival) {
+    pick = fillMove(ctx, moves);
+  } else {
+    const opp = rival.gz * n + rival.gx;
+    // Until a search pass completes: the longest straight run
+    const runs = choices.map(c => lookAhead(bike.gx, bike.gz, c.dir, 12, grid));
+    pick = moves[runs.indexOf(Math.max(...runs))];
+    let order = moves;
+    try {
+      const maxDepth = scaled(STRATEGIST_MAX_DEPTH, skill);
+      for (let depth = 1; depth <= maxDepth; depth++) {
+        const scored = order.map(m => ({ m, score: afterMove(ctx, m, opp, depth, -Infinity) }));
+        // A complete pass: adopt it and search its best line first next time
+        scored.sort((a, b) => b.score - a.score);
+        pick  = scored[0].m;
+        order = scored.map(s => s.m);
+        if (trace) trace.options = scored.map(s => ({ gx: s.m % n, gz: Math.floor(s.m / n), score: s.score }));
+        if (Math.abs(scored[0].score) >= WIN) break;
+      }
+    } catch (err) {
+      if (!(err instanceof SearchAbort)) throw err;
+    }
+  }
+  applyChoice(bike, choices.find(c => c.k === pick));
+}
+
+// ─── Jumps ───────────────────────────────────────────────────────────────────
+
+// Where a jump heading `dir` comes down, or null if it would hit a wall or
+// leave the arena on the way (trails don't matter in the air) or land on a
+// trail. A jump covers JUMP_TICKS cells.
+function jumpLanding(bike, dir, grid) {
+  const v = DIR_VECTOR[dir];
+  for (let i = 1; i <= JUMP_TICKS; i++) {
+    const gx = bike.gx + v.x * i, gz = bike.gz + v.z * i;
+    if (!inBounds(gx, gz, grid) || grid[gz][gx] === WALL) return null;
+  }
+  const gx = bike.gx + v.x * JUMP_TICKS, gz = bike.gz + v.z * JUMP_TICKS;
+  return isFree(gx, gz, grid) ? { gx, gz } : null;
+}
+
+// The jump (straight or turning) that lands in the most room:
+// { turn, dir, gx, gz, space }, or null if none can land
+function bestJump(bike, grid, cap) {
+  let best = null;
+  for (const c of [
+    { turn: null,    dir: bike.dir },
+    { turn: 'LEFT',  dir: TURN_LEFT[bike.dir]  },
+    { turn: 'RIGHT', dir: TURN_RIGHT[bike.dir] },
+  ]) {
+    const land = jumpLanding(bike, c.dir, grid);
+    if (!land) continue;
+    const space = floodFill(land.gx, land.gz, grid, cap);
+    if (!best || space > best.space) best = { ...c, ...land, space };
+  }
+  return best;
+}
+
+// AGGRESSIVE: come down right where the player is heading
+function cutsOff(jump, bike, playerBike, skill) {
+  if (!playerBike?.alive) return false;
+  if (Math.abs(bike.gx - playerBike.gx) + Math.abs(bike.gz - playerBike.gz) > 25) return false;
+  const pv = DIR_VECTOR[playerBike.dir];
+  const px = playerBike.gx + pv.x * skill.predict;
+  const pz = playerBike.gz + pv.z * skill.predict;
+  return Math.abs(jump.gx - px) + Math.abs(jump.gz - pz) <= 4 && jump.space >= 40;
+}
+
+// Spend a jump when the ground route is a dead end or a shrinking pocket and
+// the far side of a trail has more room. Each personality draws the line
+// differently:
+//   AVOIDANT   — only to escape being boxed in
+//   ENGAGING   — also to hop into a clearly bigger open area
+//   AGGRESSIVE — also to land across the player's path
+//   STRATEGIST — also whenever the far side is worth 50+ more cells
+function decideJump(bike, grid, personality, playerBike, skill) {
+  if (bike.jumpCount >= bike.maxJumps || bike.isJumping()) return;
+
+  const cap     = scaled(300, skill);
+  const ground = Math.max(0, ...safeOptions(bike, grid).map(o => floodFill(o.nx, o.nz, grid, cap)));
+  const hunting = personality === 'AGGRESSIVE' && playerBike?.alive;
+  if (ground >= cap && !hunting) return;   // wide open — save the jump
+
+  const jump = bestJump(bike, grid, cap);
+  if (!jump) return;
+
+  const TRAPPED = 30;
+  let want = ground === 0
+    || (ground < TRAPPED && jump.space > ground * 2);
+  if (personality === 'ENGAGING')   want ||= ground < cap / 2 && jump.space > ground * 1.5;
+  if (personality === 'AGGRESSIVE') want ||= cutsOff(jump, bike, playerBike, skill);
+  if (personality === 'STRATEGIST') want ||= jump.space > ground + 50;
+  if (!want) return;
+
+  // The jump takes over from whatever turn was planned
+  bike.pendingTurn = null;
+  if (jump.turn) bike.queueTurn(jump.turn);
+  bike.jump();
+}
+
+// ─── Boost ───────────────────────────────────────────────────────────────────
+
+// Boost down long open straights once the meter is mostly full; back off as
+// soon as the road ahead shortens. AGGRESSIVE also boosts to close on a
+// nearby player.
+function decideBoost(bike, grid, personality, playerBike) {
+  const dir = bike.pendingTurn
+    ? (bike.pendingTurn === 'LEFT' ? TURN_LEFT[bike.dir] : TURN_RIGHT[bike.dir])
+    : bike.dir;
+  const clear = lookAhead(bike.gx, bike.gz, dir, 16, grid);
+
+  if (bike.boostOn) {
+    if (clear < 8) bike.toggleBoost();
+    return;
+  }
+  if (bike.boostMeter < BOOST_METER * 0.8 || clear < 16) return;
+
+  const hunting = personality === 'AGGRESSIVE' && playerBike?.alive
+    && Math.abs(bike.gx - playerBike.gx) + Math.abs(bike.gz - playerBike.gz) < 30;
+  if (hunting || personality === 'ENGAGING') bike.toggleBoost();
+}
+
+// ─── Custom bots ─────────────────────────────────────────────────────────────
+
+// name → create(), which returns a fresh implementation for one bike:
+// { decide(snapshot), prepare?(snapshot), dispose?() }. The contract for
+// `snapshot` and the decision is in bot-api.js.
+const CUSTOM_BOTS = new Map();
+
+// Make a bot available to Bot under `name` (stored upper-case). Returns the name.
+export function registerBot(name, create) {
+  const key = String(name).toUpperCase();
+  if (key === 'RANDOM' || PERSONALITIES.includes(key)) {
+    throw new Error(`${key} is the name of a built-in bot`);
+  }
+  CUSTOM_BOTS.set(key, create);
+  return key;
+}
+
+export function customBots() {
+  return [...CUSTOM_BOTS.keys()];
+}
+
+export function isCustomBot(name) {
+  return CUSTOM_BOTS.has(name);
+}
+
+function applyDecision(bike, decision) {
+  switch (toDecision(decision)) {
+    case 'LEFT':
+    case 'RIGHT': bike.queueTurn(decision); break;
+    case 'JUMP':  bike.jump();              break;
+  }
+}
+
 // ─── Bot wrapper class ────────────────────────────────────────────────────────
 
 export class Bot {
-  constructor(bike, personality) {
+  // `rng` drives mistakes; give it its own stream so bots never disturb the
+  // round's other random draws
+  constructor(bike, personality, difficulty = 'NORMAL', rng = Math.random) {
     this.bike        = bike;
-    this.personality = personality; // 'AVOIDANT' | 'ENGAGING' | 'AGGRESSIVE'
+    this.personality = personality; // one of PERSONALITIES or a registered bot
+    this.difficulty  = difficulty;  // one of DIFFICULTY_LEVELS
+    this.skill       = DIFFICULTY[difficulty];
+    this.weights     = WEIGHTS;
+    this.rng         = rng;
+    this._wait       = 0;           // ticks until the next re-plan
+    this._impl       = null;        // custom bots: made on first use, so replays never load one
+    this.debug       = false;       // record `thought` for the debug overlay
+    this.thought     = null;        // { options, region, predicted, mistake } from the last plan
+  }
+
+  // `pickups` is the simulation's power-up map and `bikes` every bike in the
+  // round; both optional for the simpler personalities. `budgetMs` is the
+  // optional wall-clock safety net for a searching bot (see SEARCH_BUDGET_MS).
+  // `tick` is the round's tick.
+  decide(grid, playerBike, pickups, bikes = [], budgetMs = Infinity, tick = 0) {
+    const { bike, skill } = this;
+    if (this.custom) return this._decideCustom(grid, bikes, tick);
+    if (bike.isJumping()) return;   // committed until it lands
+
+    // Slow reactions: between re-plans only dodge what's directly ahead
+    if (this._wait > 0) {
+      this._wait--;
+      const next = bike.peekNext();
+      if (isFree(next.gx, next.gz, grid)) return;
+    }
+    this._wait = skill.reaction;
+
+    trace = this.debug ? { options: [], region: [], predicted: null } : null;
+    const opts = safeOptions(bike, grid);
+    if (skill.mistakes > 0 && opts.length > 0 && this.rng() < skill.mistakes) {
+      if (trace) trace.mistake = true;
+      applyChoice(bike, opts[Math.floor(this.rng() * opts.length)]);
+    } else {
+      switch (this.personality) {
+        case 'AVOIDANT':   decideAvoidant(bike, grid, pickups, skill);                              break;
+        case 'ENGAGING':   decideEngaging(bike, grid, pickups, skill, this.weights);                break;
+        case 'AGGRESSIVE': decideAggressive(bike, grid, playerBike, pickups, skill, this.weights);  break;
+        case 'STRATEGIST': decideStrategist(bike, grid, bikes, budgetMs, skill);                    break;
+      }
+    }
+    if (this.debug) this.thought = trace;
+    trace = null;
+    if (skill.jumps) decideJump(bike, grid, this.personality, playerBike, skill);
+    decideBoost(bike, grid, this.personality, playerBike);
+  }
+
+  get custom() {
+    return CUSTOM_BOTS.has(this.personality);
+  }
+
+  // Called between ticks with the state the next decide() will see, so a
+  // bot that thinks off-thread can get started early
+  prepare(grid, bikes, tick) {
+    if (!this.custom) return;
+    const impl = this._implementation();
+    impl.prepare?.(botSnapshot(this.bike, grid, bikes, tick));
+  }
+
+  // Let go of a custom bot's resources (its worker) once it's out of the round
+  dispose() {
+    this._impl?.dispose?.();
+    this._impl = null;
+  }
+
+  _implementation() {
+    this._impl ??= CUSTOM_BOTS.get(this.personality)();
+    return this._impl;
   }
 
-  decide(grid, playerBike) {
-    switch (this.personality) {
-      case 'AVOIDANT':   decideAvoidant(this.bike, grid);                    break;
-      case 'ENGAGING':   decideEngaging(this.bike, grid);                    break;
-      case 'AGGRESSIVE': decideAggressive(this.bike, grid, playerBike);      break;
+  // Someone else's code: a throw or an overrun just means STRAIGHT. Loaded
+  // modules sit behind a worker that enforces the limit; this check covers
+  // a decide() registered in-process.
+  _decideCustom(grid, bikes, tick) {
+    const impl     = this._implementation();
+    const snapshot = botSnapshot(this.bike, grid, bikes, tick);
+    const start    = performance.now();
+    let decision;
+    try {
+      decision = impl.decide(snapshot);
+    } catch {
+      decision = 'STRAIGHT';
     }
+    if (performance.now() - start > BOT_TIMEOUT_MS) decision = 'STRAIGHT';
+    applyDecision(this.bike, decision);
   }
 }
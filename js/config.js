@@ -0,0 +1,52 @@
+// Match configuration — everything a round can vary, with defaults and limits.
+// Pure data; shared by the browser, the server and replays.
+import { GRID_SIZE, TICK_MS, MAX_JUMPS, PICKUP_ITEMS } from './constants.js';
+import { PERSONALITIES, DIFFICULTY_LEVELS, isCustomBot } from './bot.js';
+
+export const CONFIG_LIMITS = {
+  gridSize: { min: 40, max: 200 },
+  bots:     { min: 1,  max: 11  },
+  tickMs:   { min: 30, max: 200 },
+  jumps:    { min: 0,  max: 9   },
+  pickups:  { min: 0,  max: 8   },   // power-ups on the grid at once
+};
+
+// Arena sizes offered in menus and the map editor
+export const ARENA_SIZES = [40, 60, 80, 120, 160, 200];
+
+export const DEFAULT_CONFIG = {
+  gridSize: GRID_SIZE,
+  bots:     3,
+  tickMs:   TICK_MS,
+  jumps:    MAX_JUMPS,
+  pickups:  PICKUP_ITEMS,
+  // Per-bot picks in seat order: { personality: 'RANDOM' | PERSONALITIES |
+  // a registered custom bot, difficulty: DIFFICULTY_LEVELS }. Bots without
+  // an entry are random, NORMAL.
+  opponents: [],
+  // Bot colours in seat order (0xRRGGBB), e.g. to keep a match's roster
+  // looking the same every round. Bots without one get a random colour.
+  colors: [],
+};
+
+function clampInt(value, { min, max }, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+// Fill in defaults and clamp everything into range. Unknown keys are dropped.
+export function normalizeConfig(partial = {}) {
+  const out = {};
+  for (const key of Object.keys(CONFIG_LIMITS)) {
+    out[key] = clampInt(partial[key] ?? DEFAULT_CONFIG[key], CONFIG_LIMITS[key], DEFAULT_CONFIG[key]);
+  }
+  const opponents = Array.isArray(partial.opponents) ? partial.opponents : [];
+  out.opponents = opponents.slice(0, CONFIG_LIMITS.bots.max).map(o => ({
+    personality: PERSONALITIES.includes(o?.personality) || isCustomBot(o?.personality) ? o.personality : 'RANDOM',
+    difficulty:  DIFFICULTY_LEVELS.includes(o?.difficulty) ? o.difficulty : 'NORMAL',
+  }));
+  const colors = Array.isArray(partial.colors) ? partial.colors : [];
+  out.colors = colors.slice(0, CONFIG_LIMITS.bots.max)
+    .map(c => (Number.isInteger(c) && c >= 0 && c <= 0xffffff ? c : null));
+  return out;
+}
@@ -1,6 +1,7 @@
-export const GRID_SIZE  = 80;
+export const GRID_SIZE  = 80;      // default arena — matches can override (config.js)
 export const CELL_SIZE  = 2;       // world-units per grid cell
-export const TICK_MS      = 77;    // 13 cells/sec  →  1 tick ≈ 77 ms
+export const WALL       = -1;      // grid marker for static obstacle cells
+export const TICK_MS      = 77;    // default: 13 cells/sec  →  1 tick ≈ 77 ms
 export const FAST_TICK_MS = 20;    // fast-forward after player death: ~50/sec
 
 export const TRAIL_W    = CELL_SIZE * 0.36;  // trail tube width (perpendicular)
@@ -10,18 +11,45 @@ export const BIKE_Y     = CELL_SIZE * 0.28;  // bike mesh Y position
 export const GLOW_Y     = CELL_SIZE * 0.5;   // point-light Y position
 
 export const JUMP_HEIGHT_WORLD = CELL_SIZE * 4;   // peak arc height
-export const JUMP_DURATION_MS  = 650;             // ms airborne
-export const MAX_JUMPS         = 2;               // per round
+export const JUMP_TICKS        = 8;               // ticks airborne (≈ 650 ms at TICK_MS)
+export const MAX_JUMPS         = 2;               // default per round
+export const DEREZ_TICKS       = 13;              // ticks a crashed trail still blocks while it dissolves (≈ 1 s)
+
+// Speed and boost. Speeds are cells per tick; the simulation moves bikes on
+// SUB_TICKS sub-steps per tick, so speeds should be multiples of 1 / SUB_TICKS.
+export const SUB_TICKS      = 4;
+export const BASE_SPEED     = 1;
+export const BOOST_SPEED    = 2;
+export const BOOST_METER    = 100;  // full gauge
+export const BOOST_DRAIN    = 5;    // per boosted tick — 20 ticks from full
+export const BOOST_RECHARGE = 1;    // per tick off boost
+
+// Power-ups
+export const PICKUP_KINDS  = ['JUMP', 'BOOST', 'GHOST', 'ERASER'];
+export const PICKUP_COLORS = { JUMP: 0x33ff66, BOOST: 0xffdd00, GHOST: 0xccccff, ERASER: 0xff3344 };
+export const PICKUP_EVERY  = 30;   // ticks between spawn attempts
+export const PICKUP_ITEMS  = 3;    // default max on the grid at once
+export const BOOST_TICKS   = 16;   // ticks of free boost from a BOOST pickup
+export const GHOST_TICKS   = 40;   // ticks passing through trails
 
 // Convert grid cell → world XZ (grid origin is centre of arena)
-export function gridToWorld(gx, gz) {
-  const half = (GRID_SIZE / 2) * CELL_SIZE;
+export function gridToWorld(gx, gz, gridSize = GRID_SIZE) {
+  const half = (gridSize / 2) * CELL_SIZE;
   return {
     x: gx * CELL_SIZE - half + CELL_SIZE * 0.5,
     z: gz * CELL_SIZE - half + CELL_SIZE * 0.5,
   };
 }
 
+// Inverse of gridToWorld — the cell containing world XZ (may be out of bounds)
+export function worldToGrid(x, z, gridSize = GRID_SIZE) {
+  const half = (gridSize / 2) * CELL_SIZE;
+  return {
+    gx: Math.floor((x + half) / CELL_SIZE),
+    gz: Math.floor((z + half) / CELL_SIZE),
+  };
+}
+
 // Bike facing rotation.y per direction
 // BoxGeometry length is along X → facing EAST (0 rad) by default
 export const DIR_ANGLE = {
@@ -45,21 +73,46 @@ export const TURN_RIGHT = {
   NORTH: 'EAST', EAST: 'SOUTH', SOUTH: 'WEST', WEST: 'NORTH',
 };
 
-// Player is always slot 0; bots are 1-3
-// Starting positions: [gx, gz, dir]
-export const START_POSITIONS = [
-  [20, 40, 'EAST'],   // Player
-  [40, 20, 'SOUTH'],  // Bot 1
-  [60, 40, 'WEST'],   // Bot 2
-  [40, 60, 'NORTH'],  // Bot 3
-];
+// Humans take the first slots (player 1 = slot 0, player 2 = slot 1);
+// bots fill the rest. Spawn points and bot colours come from arena.js.
 
 export const PLAYER_COLOR = 0x00ffff;
+// Indexed by player number - 1; online matches seat up to four humans
+export const PLAYER_COLORS = [PLAYER_COLOR, 0xff33ff, 0xff8800, 0x8866ff];
+
+// Key sets per local human, keyed by how many humans share the keyboard
+export const KEY_BINDINGS = {
+  1: [
+    { left: 'KeyA', right: 'KeyD', jump: 'Space', boost: 'KeyW', hint: 'A ← TURN | D → TURN | SPACE JUMP | W BOOST | C CAMERA' },
+  ],
+  2: [
+    { left: 'KeyA',      right: 'KeyD',       jump: 'KeyW',       boost: 'KeyS',    hint: 'P1  A / D TURN  W JUMP  S BOOST  C CAMERA' },
+    { left: 'ArrowLeft', right: 'ArrowRight', jump: 'ShiftRight', boost: 'ArrowUp', hint: 'P2  ← / → TURN  R-SHIFT JUMP  ↑ BOOST' },
+  ],
+};
 
-// Bot colour pool — shuffled each round
-export const BOT_COLORS = [0xff2233, 0xffee00, 0x00ff55];
+// Once every local human is out
+export const SPECTATOR_KEYS = {
+  prev:    ['KeyA', 'ArrowLeft'],
+  next:    ['KeyD', 'ArrowRight'],
+  leader:  'KeyL',
+  topDown: 'KeyT',
+  speed:   'KeyF',
+};
 
 // Camera follow settings
 export const CAM_DIST   = 28;   // cells behind bike
 export const CAM_HEIGHT = 22;   // cells above ground
 export const CAM_AHEAD  = 8;    // cells ahead of bike to aim at
+export const CAM_BOOST_PULL = 1.25;  // distance multiplier while boosting
+export const CAMERA_KEY     = 'KeyC';
+
+// In-round views, cycled with CAMERA_KEY. Chase modes sit `dist` cells behind
+// and `height` above the bike, aiming `ahead` cells in front. The cockpit
+// rides with the bike (no lag, lifted by jumps); TOP_DOWN shows the whole grid.
+export const CAMERA_MODES = [
+  { id: 'COCKPIT',    label: 'COCKPIT',    dist: -0.4,     height: 0.7,        ahead: 12,        cockpit: true },
+  { id: 'LOW_CHASE',  label: 'LOW CHASE',  dist: 10,       height: 4,          ahead: 6 },
+  { id: 'HIGH_CHASE', label: 'HIGH CHASE', dist: CAM_DIST, height: CAM_HEIGHT, ahead: CAM_AHEAD },
+  { id: 'TOP_DOWN',   label: 'TOP-DOWN',   topDown: true },
+];
@@ -0,0 +1,139 @@
+import * as THREE from 'three';
+import { CELL_SIZE, gridToWorld } from './constants.js';
+
+const MAX_REGION  = 4096;              // tinted flood-fill cells, all bots together
+const MAX_OPTIONS = 64;                // candidate-move squares
+const MAX_TARGETS = 16;                // AGGRESSIVE prediction rings
+const MARK_Y      = 0.04;              // just above the floor
+const LABEL_Y     = CELL_SIZE * 2.4;   // personality label height over a bike
+
+const WHITE = new THREE.Color(0xffffff);
+
+function flatInstances(geometry, material, count) {
+  const mesh = new THREE.InstancedMesh(geometry.rotateX(-Math.PI / 2), material, count);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3);
+  mesh.frustumCulled = false;
+  mesh.count = 0;
+  return mesh;
+}
+
+// Shows why bots do what they do: each bot's candidate moves with their
+// scores (the one taken in its colour), the flood-fill region behind that
+// move, where AGGRESSIVE expects the player to be, and a personality label
+// over every bot. Reads Bot.thought, which Bot only records while its
+// `debug` flag is on.
+export class DebugOverlay {
+  constructor(scene) {
+    this.scene   = scene;
+    this.visible = false;
+    this._root   = document.getElementById('debug-overlay');
+    this._labels = [];                 // { el, pos, view } pinned to the scene
+    this._tmp    = new THREE.Vector3();
+    this._mat4   = new THREE.Matrix4();
+
+    const basic = opacity => new THREE.MeshBasicMaterial({
+      transparent: true, opacity, depthWrite: false, side: THREE.DoubleSide,
+    });
+    this._region  = flatInstances(new THREE.PlaneGeometry(CELL_SIZE * 0.9, CELL_SIZE * 0.9), basic(0.18), MAX_REGION);
+    this._options = flatInstances(new THREE.PlaneGeometry(CELL_SIZE * 0.7, CELL_SIZE * 0.7), basic(0.8), MAX_OPTIONS);
+    this._targets = flatInstances(new THREE.RingGeometry(CELL_SIZE * 0.6, CELL_SIZE * 0.85, 24), basic(0.9), MAX_TARGETS);
+    this._group   = new THREE.Group();
+    this._group.add(this._region, this._options, this._targets);
+  }
+
+  // Flip the overlay on or off for the round in `sim`
+  toggle(sim) {
+    this.visible = !this.visible;
+    this._root.classList.toggle('visible', this.visible);
+    if (this.visible) this.scene.add(this._group);
+    else              this.scene.remove(this._group);
+    this.attach(sim);
+    if (!this.visible) this.clear();
+  }
+
+  // A new round (or replay) started: bring its bots in line with the toggle
+  attach(sim) {
+    (sim.bots ?? []).forEach(bot => { bot.debug = this.visible; });
+  }
+
+  // Drop everything drawn for the last round
+  clear() {
+    this._region.count = this._options.count = this._targets.count = 0;
+    this._labels.forEach(l => l.el.remove());
+    this._labels = [];
+  }
+
+  // After every tick: rebuild markers and labels from the bots' latest thoughts.
+  // `views` are Game's Bike views, for the labels to follow.
+  sync(sim, views) {
+    if (!this.visible) return;
+    this.clear();
+    const n = sim.gridSize;
+    const color = new THREE.Color();
+
+    for (const bot of sim.bots ?? []) {
+      if (!bot.bike.alive) continue;
+      color.setHex(bot.bike.color);
+      const view    = views.find(v => v.state === bot.bike);
+      const thought = bot.thought;
+      this._label(`${bot.personality} · ${bot.difficulty}${thought?.mistake ? ' · MISTAKE' : ''}`,
+        'debug-name', bot.bike.color, null, view);
+      if (!thought) continue;
+
+      for (const [gx, gz] of thought.region) {
+        this._place(this._region, gx, gz, n, color);
+      }
+      thought.options.forEach((o, i) => {
+        this._place(this._options, o.gx, o.gz, n, i === 0 ? color : WHITE);
+        const { x, z } = gridToWorld(o.gx, o.gz, n);
+        this._label(Math.round(o.score), i === 0 ? 'debug-score best' : 'debug-score', bot.bike.color,
+          new THREE.Vector3(x, CELL_SIZE * 0.6, z));
+      });
+      if (thought.predicted) {
+        this._place(this._targets, thought.predicted.gx, thought.predicted.gz, n, color);
+      }
+    }
+    for (const mesh of [this._region, this._options, this._targets]) {
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.instanceColor.needsUpdate  = true;
+    }
+  }
+
+  // Every frame: pin the labels to the screen. `camera` renders the left-most
+  // of `viewCount` side-by-side viewports.
+  update(camera, viewCount = 1) {
+    if (!this.visible) return;
+    const w = window.innerWidth / viewCount, h = window.innerHeight;
+    for (const { el, pos, view } of this._labels) {
+      const p = this._tmp;
+      if (view) p.copy(view.mesh.position).setY(view.mesh.position.y + LABEL_Y);
+      else      p.copy(pos);
+      p.project(camera);
+      const onScreen = p.z < 1 && Math.abs(p.x) <= 1 && Math.abs(p.y) <= 1;
+      el.style.display = onScreen ? '' : 'none';
+      if (onScreen) {
+        el.style.transform = `translate(${(p.x + 1) / 2 * w}px, ${(1 - p.y) / 2 * h}px) translate(-50%, -50%)`;
+      }
+    }
+  }
+
+  // ─── Private ──────────────────────────────────────────────────────────────
+
+  _place(mesh, gx, gz, n, color) {
+    if (mesh.count >= mesh.instanceMatrix.count) return;
+    if (gx < 0 || gz < 0 || gx >= n || gz >= n) return;
+    const { x, z } = gridToWorld(gx, gz, n);
+    mesh.setMatrixAt(mesh.count, this._mat4.makeTranslation(x, MARK_Y, z));
+    mesh.setColorAt(mesh.count, color);
+    mesh.count++;
+  }
+
+  _label(text, cls, color, pos, view = null) {
+    const el = document.createElement('div');
+    el.className   = cls;
+    el.textContent = text;
+    el.style.color = '#' + color.toString(16).padStart(6, '0');
+    this._root.appendChild(el);
+    this._labels.push({ el, pos, view });
+  }
+}
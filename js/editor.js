@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+import {
+  CELL_SIZE, GRID_SIZE, DIR_ANGLE, TURN_RIGHT,
+  gridToWorld, worldToGrid,
+} from './constants.js';
+import { mapCells, validateMap } from './maps.js';
+import { humanColor } from './arena.js';
+import { saveMap } from './map-store.js';
+
+const MAX_SPAWNS = 12;
+
+const TOOL_KEYS = { Digit1: 'WALL', Digit2: 'ERASE', Digit3: 'SPAWN' };
+
+const HOVER_COLOR = { WALL: 0x00ffff, ERASE: 0xff3344, SPAWN: 0xffffff };
+
+// Top-down map editor. Draws through the same Arena as a match, so what you
+// paint is exactly what riders will see. Owns the camera while open.
+export class Editor {
+  constructor(scene, camera, arena, ui, canvas) {
+    this.scene  = scene;
+    this.camera = camera;
+    this.arena  = arena;
+    this.ui     = ui;
+    this.canvas = canvas;
+    this.active = false;
+
+    // The map being edited
+    this.name   = 'Custom';
+    this.size   = GRID_SIZE;
+    this.walls  = new Set();       // gz * size + gx
+    this.spawns = [];              // [gx, gz, dir] in seat order
+
+    this.tool      = 'WALL';
+    this._painting = null;         // tool applied while the pointer is held
+    this._lastCell = null;
+    this._hover    = null;         // { gx, gz } under the pointer
+    this._markers  = new THREE.Group();
+    this._fog      = null;
+    this._ray      = new THREE.Raycaster();
+    this._floor    = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+    this._hoverMesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(CELL_SIZE, CELL_SIZE),
+      new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.45, depthWrite: false }),
+    );
+    this._hoverMesh.rotation.x = -Math.PI / 2;
+
+    // Set by main.js
+    this.onPlay = () => {};        // (map) launch a match on the edited map
+    this.onExit = () => {};
+
+    this._bindInput();
+  }
+
+  // ─── Public ───────────────────────────────────────────────────────────────
+
+  // Start editing `map` (a parsed map), or carry on with the last one
+  open(map = null) {
+    if (map) this._load(map);
+    this.active = true;
+    this._fog   = this.scene.fog;
+    this.scene.fog = null;         // the whole arena is visible from above
+    this.scene.add(this._markers, this._hoverMesh);
+    document.getElementById('controls-hint').style.opacity = '0';
+
+    this.ui.showEditorPanel({ name: this.name, size: this.size, tool: this.tool }, {
+      onTool:     tool => { this.tool = tool; },
+      onName:     name => { this.name = name; },
+      onSize:     size => this._resize(size),
+      onLoad:     map  => { this._load(map); this._refresh(); },
+      onClear:    ()   => this._clear(),
+      onSave:     ()   => {
+        saveMap(this.map);
+        this.ui.flashEditorStatus(`SAVED “${this.map.name}”`);
+      },
+      onDownload: ()   => this.ui.downloadJSON(`${this._slug()}.json`, this.map),
+      onPlay:     ()   => { const map = this.map; this.close(); this.onPlay(map); },
+      onExit:     ()   => { this.close(); this.onExit(); },
+    });
+    this._refresh();
+  }
+
+  close() {
+    if (!this.active) return;
+    this.active    = false;
+    this._painting = null;
+    this._hover    = null;
+    this.scene.fog = this._fog;
+    this.scene.remove(this._markers, this._hoverMesh);
+    this.ui.hideEditorPanel();
+  }
+
+  // The edited map in the JSON map format
+  get map() {
+    const walls = [...this.walls]
+      .sort((a, b) => a - b)
+      .map(k => [k % this.size, Math.floor(k / this.size)]);
+    return {
+      name:   this.name.trim() || 'Custom',
+      size:   this.size,
+      spawns: this.spawns.map(s => [...s]),
+      walls,
+    };
+  }
+
+  get viewCameras() {
+    return [this.camera];
+  }
+
+  // Straight down over the centre, far enough out to fit the whole arena
+  update() {
+    const half   = (this.size * CELL_SIZE) / 2 * 1.08;
+    const tan    = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+    const height = half / tan / Math.min(1, this.camera.aspect);
+    this.camera.position.set(0, height, 0.001);
+    this.camera.lookAt(0, 0, 0);
+  }
+
+  // ─── Editing ──────────────────────────────────────────────────────────────
+
+  _load(map) {
+    this.name   = map.name;
+    this.size   = map.size;
+    this.walls  = new Set(mapCells(map).map(([gx, gz]) => gz * map.size + gx));
+    this.spawns = map.spawns.map(s => [...s]);
+  }
+
+  _clear() {
+    this.walls  = new Set();
+    this.spawns = [];
+    this._refresh();
+  }
+
+  // Keep whatever still fits on the new grid
+  _resize(size) {
+    const old = this.size;
+    const cells = [...this.walls].map(k => [k % old, Math.floor(k / old)]);
+    this.size   = size;
+    this.walls  = new Set(cells.filter(([gx, gz]) => gx < size && gz < size).map(([gx, gz]) => gz * size + gx));
+    this.spawns = this.spawns.filter(([gx, gz]) => gx < size && gz < size);
+    this._refresh();
+  }
+
+  _spawnAt(gx, gz) {
+    return this.spawns.findIndex(s => s[0] === gx && s[1] === gz);
+  }
+
+  // Apply `tool` to one cell. Returns true if anything changed.
+  _apply(tool, gx, gz) {
+    const k     = gz * this.size + gx;
+    const spawn = this._spawnAt(gx, gz);
+    switch (tool) {
+      case 'WALL':
+        if (spawn !== -1 || this.walls.has(k)) return false;
+        this.walls.add(k);
+        return true;
+      case 'ERASE':
+        if (spawn !== -1) { this.spawns.splice(spawn, 1); return true; }
+        return this.walls.delete(k);
+      case 'SPAWN':
+        // Clicking an existing spawn turns it clockwise
+        if (spawn !== -1) {
+          this.spawns[spawn][2] = TURN_RIGHT[this.spawns[spawn][2]];
+          return true;
+        }
+        if (this.walls.has(k) || this.spawns.length >= MAX_SPAWNS) return false;
+        this.spawns.push([gx, gz, 'EAST']);
+        return true;
+    }
+    return false;
+  }
+
+  _refresh() {
+    const map = this.map;
+    this.arena.setLayout(this.size, map.walls);
+    this._buildMarkers();
+    this._placeHover();
+    this.ui.updateEditorPanel({
+      size:     this.size,
+      walls:    map.walls.length,
+      spawns:   this.spawns.length,
+      problems: validateMap(map),
+    });
+  }
+
+  _slug() {
+    return this.map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map';
+  }
+
+  // ─── Markers ──────────────────────────────────────────────────────────────
+
+  // One arrow per spawn, coloured by seat, pointing the way the rider starts
+  _buildMarkers() {
+    this._markers.children.forEach(m => { m.geometry.dispose(); m.material.dispose(); });
+    this._markers.clear();
+    this.spawns.forEach(([gx, gz, dir], i) => {
+      const color = i < 4 ? humanColor(i + 1) : 0xffffff;
+      const arrow = new THREE.Mesh(
+        new THREE.ConeGeometry(CELL_SIZE * 0.6, CELL_SIZE * 1.6, 3),
+        new THREE.MeshBasicMaterial({ color }),
+      );
+      const { x, z } = gridToWorld(gx, gz, this.size);
+      arrow.position.set(x, CELL_SIZE * 0.5, z);
+      arrow.rotation.set(0, DIR_ANGLE[dir], -Math.PI / 2, 'YXZ');   // tip along +X, then facing
+      this._markers.add(arrow);
+    });
+  }
+
+  _placeHover() {
+    const h = this._hover;
+    this._hoverMesh.visible = h !== null;
+    if (!h) return;
+    const { x, z } = gridToWorld(h.gx, h.gz, this.size);
+    this._hoverMesh.position.set(x, 0.05, z);
+    this._hoverMesh.material.color.setHex(HOVER_COLOR[this.tool]);
+  }
+
+  // ─── Input ────────────────────────────────────────────────────────────────
+
+  _cellAt(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const ndc  = new THREE.Vector2(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    this._ray.setFromCamera(ndc, this.camera);
+    const hit = this._ray.ray.intersectPlane(this._floor, new THREE.Vector3());
+    if (!hit) return null;
+    const { gx, gz } = worldToGrid(hit.x, hit.z, this.size);
+    if (gx < 0 || gz < 0 || gx >= this.size || gz >= this.size) return null;
+    return { gx, gz };
+  }
+
+  // Left button uses the current tool, right button always erases.
+  // Walls paint and erase while dragging; spawns are one click each.
+  _bindInput() {
+    this.canvas.addEventListener('pointerdown', e => {
+      if (!this.active) return;
+      const cell = this._cellAt(e);
+      if (!cell) return;
+      this._painting = e.button === 2 ? 'ERASE' : this.tool;
+      this._lastCell = cell;
+      if (this._apply(this._painting, cell.gx, cell.gz)) this._refresh();
+      if (this._painting === 'SPAWN') this._painting = null;
+    });
+    this.canvas.addEventListener('pointermove', e => {
+      if (!this.active) return;
+      this._hover = this._cellAt(e);
+      const cell = this._hover;
+      if (this._painting && cell
+          && (cell.gx !== this._lastCell.gx || cell.gz !== this._lastCell.gz)) {
+        this._lastCell = cell;
+        if (this._apply(this._painting, cell.gx, cell.gz)) { this._refresh(); return; }
+      }
+      this._placeHover();
+    });
+    window.addEventListener('pointerup', () => { this._painting = null; });
+    this.canvas.addEventListener('contextmenu', e => {
+      if (this.active) e.preventDefault();
+    });
+
+    // 1 / 2 / 3 pick a tool · R turns the spawn under the pointer
+    document.addEventListener('keydown', e => {
+      if (!this.active || e.target instanceof HTMLInputElement) return;
+      if (TOOL_KEYS[e.code]) {
+        this.tool = TOOL_KEYS[e.code];
+        this.ui.selectEditorTool(this.tool);
+        this._placeHover();
+      } else if (e.code === 'KeyR' && this._hover) {
+        const i = this._spawnAt(this._hover.gx, this._hover.gz);
+        if (i !== -1) {
+          this._apply('SPAWN', this._hover.gx, this._hover.gz);
+          this._refresh();
+        }
+      }
+    });
+  }
+}
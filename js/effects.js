@@ -0,0 +1,226 @@
+import * as THREE from 'three';
+import { CELL_SIZE } from './constants.js';
+
+const BURST_MS    = 800;               // crash sparks
+const SHATTER_MS  = 1200;              // bike fragments
+const SPARKS      = 48;
+const FRAGMENTS   = 14;
+const GRAVITY     = -30;               // world units / s²
+const FRAG_SIZE   = CELL_SIZE * 0.22;
+
+const _m4    = new THREE.Matrix4();
+const _quat  = new THREE.Quaternion();
+const _one   = new THREE.Vector3(1, 1, 1);
+const _pos   = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+
+// Random vector in a hemisphere: `spread` sideways, `lift` upwards at most
+function fling(spread, lift) {
+  const a = Math.random() * Math.PI * 2;
+  const s = spread * (0.3 + Math.random() * 0.7);
+  return new THREE.Vector3(Math.cos(a) * s, lift * (0.3 + Math.random() * 0.7), Math.sin(a) * s);
+}
+
+// A trail's instanced runs, oldest first, as { from, along, axis, len,
+// scale }: each grows `len` from its older end `from` along the unit vector
+// `along`. The newer end is the one facing the next run, or `head` (the
+// crash) for the last.
+function trailRuns(trail, head) {
+  const runs = [];
+  for (let i = 0; i < trail.count; i++) {
+    const pos = new THREE.Vector3(), scale = new THREE.Vector3();
+    trail.getMatrixAt(i, _m4);
+    _m4.decompose(pos, _quat, scale);
+    const axis = scale.x >= scale.z ? 0 : 2;
+    runs.push({ pos, scale, axis, len: scale.getComponent(axis), along: new THREE.Vector3().setComponent(axis, 1) });
+  }
+  runs.forEach((r, i) => {
+    const toward = runs[i + 1]?.pos ?? head;
+    const end    = r.pos.clone().addScaledVector(r.along, r.len / 2);
+    const start  = r.pos.clone().addScaledVector(r.along, -r.len / 2);
+    if (start.distanceToSquared(toward) < end.distanceToSquared(toward)) r.along.negate();
+    r.from = r.pos.clone().addScaledVector(r.along, -r.len / 2);
+  });
+  return runs;
+}
+
+// Draw only the oldest `length` world units of a trail. Runs past it are
+// dropped and the one it ends in is cut short at its older end.
+function shortenTrail(trail, runs, length) {
+  let count = 0;
+  for (const r of runs) {
+    if (length <= 0) break;
+    count++;
+    if (length < r.len) {
+      _scale.copy(r.scale).setComponent(r.axis, length);
+      _pos.copy(r.from).addScaledVector(r.along, length / 2);
+      trail.setMatrixAt(count - 1, _m4.compose(_pos, _quat.identity(), _scale));
+      trail.instanceMatrix.needsUpdate = true;
+    }
+    length -= r.len;
+  }
+  trail.count = count;
+}
+
+// Crash visuals. Purely cosmetic: the simulation keeps a dead bike's cells
+// blocking for DEREZ_TICKS ticks and the trail dissolves over the same
+// ticks, so it's an obstacle for exactly as long as it's on screen.
+export class Effects {
+  constructor(scene) {
+    this.scene   = scene;
+    this._active = [];                 // { update(dt) → still running, dispose() }
+  }
+
+  // A bike view just crashed. Its trail dissolves back from the crash along
+  // its length over `dissolveMs`; unless `reducedMotion`, sparks burst from
+  // the crash cell and the bike shatters into fragments. With reduced motion
+  // the trail only fades in place and the dimmed bike stays put.
+  derez(view, reducedMotion, dissolveMs) {
+    const started = [this._dissolve(view.detachTrail(), view.mesh.position, reducedMotion, dissolveMs)];
+    if (!reducedMotion) {
+      started.push(this._burst(view.mesh.position, view.color), this._shatter(view.mesh, view.color));
+      view.mesh.visible = false;
+    }
+    // Place everything before the first frame draws it
+    started.forEach(e => e.update(0));
+    this._active.push(...started);
+  }
+
+  // A view rebuilt for a rider who is already out (a replay seek): only the
+  // trail is left, `done` (0–1) of the way through its dissolve
+  dissolve(view, reducedMotion, dissolveMs, done) {
+    const effect = this._dissolve(view.detachTrail(), view.mesh.position, reducedMotion, dissolveMs, done);
+    effect.update(0);
+    this._active.push(effect);
+  }
+
+  // Every render frame
+  update(deltaMs) {
+    const dt = deltaMs / 1000;
+    this._active = this._active.filter(e => {
+      if (e.update(dt)) return true;
+      e.dispose();
+      return false;
+    });
+  }
+
+  clear() {
+    this._active.forEach(e => e.dispose());
+    this._active = [];
+  }
+
+  // ─── Private ──────────────────────────────────────────────────────────────
+
+  // The trail shortens steadily from the crash (`head`) back to where the
+  // bike started, while the whole of it flares and fades
+  _dissolve(trail, head, reducedMotion, dissolveMs, done = 0) {
+    const mat   = trail.material = trail.material.clone();
+    const runs  = trailRuns(trail, head);
+    const total = runs.reduce((sum, r) => sum + r.len, 0);
+    const glow  = mat.emissiveIntensity;
+    const alpha = mat.opacity;
+    let t = done;
+    return {
+      update: dt => {
+        t = Math.min(1, t + dt * 1000 / dissolveMs);
+        mat.opacity = alpha * (1 - t);
+        if (!reducedMotion) {
+          shortenTrail(trail, runs, total * (1 - t));
+          mat.emissiveIntensity = glow * (1 + 2 * (1 - t) * (0.6 + Math.random() * 0.4));
+        }
+        return t < 1;
+      },
+      dispose: () => {
+        this.scene.remove(trail);
+        trail.dispose();
+        mat.dispose();
+      },
+    };
+  }
+
+  _burst(origin, color) {
+    const pos = new Float32Array(SPARKS * 3);
+    const vel = Array.from({ length: SPARKS }, () => fling(16, 14));
+    for (let i = 0; i < SPARKS; i++) pos.set([origin.x, origin.y, origin.z], i * 3);
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+    const mat = new THREE.PointsMaterial({
+      color, size: CELL_SIZE * 0.35, transparent: true,
+      blending: THREE.AdditiveBlending, depthWrite: false,
+    });
+    const sparks = new THREE.Points(geo, mat);
+    sparks.frustumCulled = false;
+    this.scene.add(sparks);
+
+    let t = 0;
+    return {
+      update: dt => {
+        t += dt * 1000 / BURST_MS;
+        vel.forEach((v, i) => {
+          v.y += GRAVITY * dt;
+          pos[i * 3]     += v.x * dt;
+          pos[i * 3 + 1]  = Math.max(0, pos[i * 3 + 1] + v.y * dt);
+          pos[i * 3 + 2] += v.z * dt;
+        });
+        geo.attributes.position.needsUpdate = true;
+        mat.opacity = Math.max(0, 1 - t);
+        return t < 1;
+      },
+      dispose: () => {
+        this.scene.remove(sparks);
+        geo.dispose();
+        mat.dispose();
+      },
+    };
+  }
+
+  // Small emissive cubes that start where the bike was, tumble out and
+  // bounce on the floor
+  _shatter(mesh, color) {
+    const geo = new THREE.BoxGeometry(FRAG_SIZE, FRAG_SIZE, FRAG_SIZE);
+    const mat = new THREE.MeshStandardMaterial({
+      color, emissive: color, emissiveIntensity: 0.9, metalness: 0.5, roughness: 0.3, transparent: true,
+    });
+    const shards = new THREE.InstancedMesh(geo, mat, FRAGMENTS);
+    shards.frustumCulled = false;
+    this.scene.add(shards);
+
+    const parts = Array.from({ length: FRAGMENTS }, () => ({
+      pos:  mesh.position.clone().add(fling(CELL_SIZE * 0.4, CELL_SIZE * 0.1)),
+      vel:  fling(9, 10),
+      rot:  new THREE.Euler(),
+      spin: fling(12, 12),
+    }));
+
+    let t = 0;
+    return {
+      update: dt => {
+        t += dt * 1000 / SHATTER_MS;
+        parts.forEach((p, i) => {
+          p.vel.y += GRAVITY * dt;
+          p.pos.addScaledVector(p.vel, dt);
+          if (p.pos.y < FRAG_SIZE / 2) {
+            p.pos.y = FRAG_SIZE / 2;
+            p.vel.multiplyScalar(0.5);
+            p.vel.y = Math.abs(p.vel.y);
+          }
+          p.rot.x += p.spin.x * dt;
+          p.rot.y += p.spin.y * dt;
+          p.rot.z += p.spin.z * dt;
+          shards.setMatrixAt(i, _m4.compose(p.pos, _quat.setFromEuler(p.rot), _one));
+        });
+        shards.instanceMatrix.needsUpdate = true;
+        // Hold, then fade over the last 40%
+        mat.opacity = Math.min(1, (1 - t) / 0.4);
+        return t < 1;
+      },
+      dispose: () => {
+        this.scene.remove(shards);
+        shards.dispose();
+        geo.dispose();
+        mat.dispose();
+      },
+    };
+  }
+}
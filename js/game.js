@@ -1,229 +1,762 @@
 import * as THREE from 'three';
 import {
-  GRID_SIZE, CELL_SIZE, TICK_MS, FAST_TICK_MS,
-  DIR_VECTOR, START_POSITIONS,
-  PLAYER_COLOR, BOT_COLORS,
-  CAM_DIST, CAM_HEIGHT, CAM_AHEAD,
-  gridToWorld,
+  CELL_SIZE, FAST_TICK_MS, DEREZ_TICKS, DIR_VECTOR,
+  CAM_BOOST_PULL, CAMERA_MODES, CAMERA_KEY, KEY_BINDINGS, SPECTATOR_KEYS, PICKUP_COLORS, BOOST_METER,
+  BIKE_Y, gridToWorld,
 } from './constants.js';
-import { Bike } from './bike.js';
-import { Bot  } from './bot.js';
-
-const PERSONALITIES = ['AVOIDANT', 'ENGAGING', 'AGGRESSIVE'];
-
-function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
+import { Bike }       from './bike.js';
+import { floodFill, SEARCH_BUDGET_MS } from './bot.js';
+import { Pickup }     from './pickup.js';
+import { Simulation } from './simulation.js';
+import { createReplay, ReplayPlayer } from './replay.js';
+import { NetClient, NetSimulation } from './net.js';
+import { DebugOverlay } from './debug-overlay.js';
+import { Effects }      from './effects.js';
+import { Match }        from './match.js';
+import { recordRound, recordMatch } from './stats-store.js';
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const SHAKE_MS      = 450;   // camera shake when a player crashes
+const SHAKE_AMP     = CELL_SIZE * 0.7;
+const LEADER_TICKS  = 20;    // how often the spectator looks for a new leader
+const LEADER_MARGIN = 1.25;  // a rival needs this much more room to take the lead
+const LEADER_CAP    = 1000;  // flood-fill cap when sizing up riders
+const CAMERA_STORE  = 'lightbike.camera';
+
+const HIGH_CHASE = CAMERA_MODES.find(m => m.id === 'HIGH_CHASE');
+const TOP_DOWN   = CAMERA_MODES.find(m => m.id === 'TOP_DOWN');
+
+// The camera mode picked last time, kept across rounds and reloads
+function loadCameraMode() {
+  return CAMERA_MODES.find(m => m.id === localStorage.getItem(CAMERA_STORE)) ?? HIGH_CHASE;
 }
 
 export class Game {
-  constructor(scene, camera, ui) {
+  constructor(scene, camera, ui, arena) {
     this.scene  = scene;
     this.camera = camera;
     this.ui     = ui;
-
-    this.bikes       = [];
-    this.bots        = [];
-    this.grid        = [];
+    this.arena  = arena;           // scene.js Arena — floor and walls
+
+    // One chase camera per local human; the second is only used split-screen
+    this._cams       = [camera, camera.clone()];
+    this._camTargets = [new THREE.Vector3(), new THREE.Vector3()];
+    this._camPull    = [1, 1];     // eased towards CAM_BOOST_PULL while boosting
+    this._camYaw     = [null, null];   // heading each chase camera has turned to so far
+    this.cameraMode  = loadCameraMode();
+
+    this.sim         = new Simulation();
+    this.bikes       = [];         // Bike views, one per sim.bikes entry
+    this.pickups     = new Map();  // pickup id → Pickup view
+    this._notices    = new Map();  // bike id → { kind, until } for the HUD
+    this.debug       = new DebugOverlay(scene);   // ` toggles it
+    this.glowLights  = true;       // per-bike PointLights, a graphics setting
+    this.effects     = new Effects(scene);
+    this.reducedMotion = false;    // graphics setting: no shake, shatter or sparks
+    this._shakes     = [null, null];   // per camera { left, offset } while shaking
     this.running     = false;
     this.fastForward = false;
     this.tickAccum   = 0;
 
-    this._camTarget = new THREE.Vector3(0, 0, 0);
+    // Spectating, once every local human is out; null until then. Prefs
+    // carry over to later rounds.
+    this.spectator       = null;   // { target: bike id, auto: following the leader }
+    this._spectatePrefs  = { fast: true, topDown: false };
+
+    // Match state; null for a single round
+    this.match       = null;       // Match
+    this._matchSetup = null;       // { first, next } start() options for a rematch / the next round
+    this._deaths     = [];         // { bikeId, by, tick } this round, for match scoring
+
+    // Playback state; null during a live round
+    this.replay      = null;       // { player, paused, speed }
+
+    // Online state; null when playing locally
+    this.net         = null;       // NetClient
+    this._netScreen  = null;       // 'lobby' | 'game' | 'over'
+    this._lobby      = null;       // last lobby message
+    this._netSettings = null;      // { config, map } to send when we start the match
+
+    // Set by main.js — returns to the start screen
+    this.onExitToMenu = () => {};
 
     this._bindInput();
   }
 
   // ─── Lifecycle ─────────────────────────────────────────────────────────────
 
-  start() {
+  // `seed` replays a specific round (omit it for a fresh random one);
+  // `humans` is 1 or 2 local players; `config` is a partial match config;
+  // `map` is a parsed arena map or null for the open arena; `match` is a
+  // Match format ({ format, target }) to play several rounds, or null
+  start({ seed = null, humans = 1, config = {}, map = null, match = null } = {}) {
+    this._beginRound({ seed, humans, config, map });
+    this.match       = null;
+    this._matchSetup = null;
+    if (!match) return;
+
+    const sim = this.sim;
+    this.match = new Match(match, sim.bikes.map(b => ({
+      id:    b.id,
+      color: b.color,
+      label: b.playerNum === null
+        ? sim.bots.find(bot => bot.bike === b).personality
+        : humans > 1 ? `PLAYER ${b.playerNum}` : 'YOU',
+    })));
+    // Whoever was dealt for round one rides every round
+    const roster = {
+      ...sim.config,
+      opponents: sim.bots.map(bot => ({ personality: bot.personality, difficulty: bot.difficulty })),
+      colors:    sim.bots.map(bot => bot.bike.color),
+    };
+    this._matchSetup = {
+      first: { humans, config, map, match },
+      next:  { humans, config: roster, map },
+    };
+    this._showMatchHUD();
+  }
+
+  _beginRound({ seed, humans, config, map }) {
     this._teardown();
-    this._buildGrid();
-    this._spawnBikes();
+    this.sim = new Simulation();
+    this.sim.searchBudgetMs = SEARCH_BUDGET_MS;
+    const opts = { humans, config, map };
+    this.sim.start(seed === null ? opts : { ...opts, seed });
+    this.debug.attach(this.sim);
+    this._buildViews();
     this.running     = true;
     this.fastForward = false;
     this.tickAccum   = 0;
-    document.getElementById('controls-hint').style.opacity = '1';
+
+    this._deaths     = [];
+
+    const hint = document.getElementById('controls-hint');
+    hint.textContent   = KEY_BINDINGS[humans].map(k => k.hint).join('   ·   ');
+    hint.style.opacity = '1';
+  }
+
+  _nextRound() {
+    this._beginRound({ seed: null, ...this._matchSetup.next });
+    this._showMatchHUD();
+  }
+
+  // Cameras to render this frame, left to right
+  get viewCameras() {
+    return this.running && !this.spectator ? this._cams.slice(0, this.sim.humans) : this._cams.slice(0, 1);
+  }
+
+  // Play a recorded round back through the normal render path
+  startReplay(replay) {
+    this._teardown();
+    const player = new ReplayPlayer(replay);
+    this.replay  = { player, paused: false, speed: 1 };
+    this.sim     = player.sim;
+    this.debug.attach(this.sim);
+    this._buildViews();
+    this.running   = true;
+    this.tickAccum = 0;
+    document.getElementById('controls-hint').style.opacity = '0';
+
+    this.ui.showReplayBar(player.length, {
+      onToggle: () => this.toggleReplayPause(),
+      onStep:   () => this.stepReplay(),
+      onSeek:   t  => this.seekReplay(t),
+      onSpeed:  d  => this.changeReplaySpeed(d),
+      onExit:   () => this.exitReplay(),
+    });
+    this._updateReplayBar();
+  }
+
+  toggleReplayPause() {
+    if (!this.replay) return;
+    if (this.replay.player.atEnd) this.seekReplay(0);
+    this.replay.paused = !this.replay.paused;
+    this._updateReplayBar();
+  }
+
+  stepReplay() {
+    if (!this.replay) return;
+    this.replay.paused = true;
+    this._tick();
+    this._updateReplayBar();
+  }
+
+  seekReplay(tick) {
+    if (!this.replay) return;
+    this.bikes.forEach(b => b.dispose());
+    this.effects.clear();
+    this.replay.player.seek(tick);
+    this.sim = this.replay.player.sim;
+    this.debug.attach(this.sim);
+    this._buildViews();
+    this.debug.sync(this.sim, this.bikes);
+    this.tickAccum = 0;
+    this._updateReplayBar();
+  }
+
+  // `dir` is +1 / -1 through REPLAY_SPEEDS
+  changeReplaySpeed(dir) {
+    if (!this.replay) return;
+    const i = REPLAY_SPEEDS.indexOf(this.replay.speed) + dir;
+    this.replay.speed = REPLAY_SPEEDS[Math.max(0, Math.min(i, REPLAY_SPEEDS.length - 1))];
+    this._updateReplayBar();
+  }
+
+  exitReplay() {
+    const replay = this.replay;
+    if (!replay) return;
+    this._teardown();
+    this._showGameOver(replay.player.replay);
+  }
+
+  // ─── Online ────────────────────────────────────────────────────────────────
+
+  // `config` and `map` are the start screen's settings, sent to the server
+  // if this client starts the match
+  joinOnline(url, name, { config = {}, map = null } = {}) {
+    this.leaveOnline();
+    this._netScreen   = 'lobby';
+    this._netSettings = { config, map };
+    this.net = new NetClient(url, name, {
+      onLobby: msg => {
+        this._lobby = msg;
+        if (this._netScreen === 'lobby') this._showLobby();
+      },
+      onStart: msg => this._startNet(msg),
+      onTick:  msg => {
+        if (this.sim instanceof NetSimulation) this._syncViews(this.sim.applyTick(msg));
+      },
+      onOver:  msg => this._finishNet(msg),
+      onError: message => {
+        this.leaveOnline();
+        this.ui.showMessage('CONNECTION FAILED', message, () => this.onExitToMenu());
+      },
+      onClose: () => {
+        if (!this.net) return;
+        this.leaveOnline();
+        this.ui.showMessage('DISCONNECTED', 'The server closed the connection', () => this.onExitToMenu());
+      },
+    });
+  }
+
+  leaveOnline() {
+    if (!this.net) return;
+    const net = this.net;
+    this.net = null;
+    net.close();
+    this._teardown();
+    this._netScreen = null;
+    this._lobby     = null;
+  }
+
+  _showLobby() {
+    this._netScreen = 'lobby';
+    if (!this._lobby) return;
+    this.ui.showLobby(this._lobby, {
+      onStart: () => this.net.requestStart(this._netSettings.config, this._netSettings.map),
+      onLeave: () => { this.leaveOnline(); this.onExitToMenu(); },
+    });
+  }
+
+  _startNet(msg) {
+    this._teardown();
+    this.ui.clear();
+    this._netScreen = 'game';
+    this.sim        = new NetSimulation(msg, this.net);
+    this._buildViews();
+    this.running   = true;
+    this.tickAccum = 0;
+
+    const hint = document.getElementById('controls-hint');
+    hint.textContent   = KEY_BINDINGS[1][0].hint;
+    hint.style.opacity = '1';
+  }
+
+  _finishNet(msg) {
+    if (!(this.sim instanceof NetSimulation)) return;
+    this.sim.finish(msg);
+    this.running    = false;
+    this._netScreen = 'over';
+    document.getElementById('controls-hint').style.opacity = '0';
+    setTimeout(() => {
+      if (this._netScreen === 'over') this._showGameOver(msg.replay);
+    }, 800);
   }
 
   update(deltaMs) {
+    this.effects.update(deltaMs);
     if (!this.running) {
       this._orbitCamera();
       return;
     }
 
-    // Every alive bike gets smooth jump arc animation each frame
-    this.bikes.forEach(b => { if (b.alive) b.updateVisual(); });
-
-    // Update jump-pip HUD for the player
+    // Update jump-pip and power-up HUD for each human
     this._updateJumpHUD();
+    this._updatePickupHUD();
 
-    const tickMs = this.fastForward ? FAST_TICK_MS : TICK_MS;
-    this.tickAccum += deltaMs;
+    const tickMs = this._tickMs();
+    if (!this.replay?.paused) this.tickAccum += deltaMs;
     while (this.tickAccum >= tickMs && this.running) {
       this.tickAccum -= tickMs;
       this._tick();
     }
+    if (this.replay && !this.replay.paused) this._updateReplayBar();
+
+    // Every alive bike gets smooth jump arc animation each frame
+    const alpha = Math.min(this.tickAccum / tickMs, 1);
+    this.bikes.forEach(b => { if (b.state.alive) b.updateVisual(alpha); });
+    const now = performance.now();
+    this.pickups.forEach(p => p.update(now));
 
     this._followCamera(deltaMs);
+    this.debug.update(this.viewCameras[0], this.viewCameras.length);
   }
 
   // ─── Setup / Teardown ──────────────────────────────────────────────────────
 
-  _buildGrid() {
-    this.grid = Array.from({ length: GRID_SIZE }, () => new Array(GRID_SIZE).fill(null));
-  }
-
-  _spawnBikes() {
-    this.bikes = [];
-    this.bots  = [];
-
-    const personalities = shuffle(PERSONALITIES);
-    const botColors     = shuffle(BOT_COLORS);
-
-    START_POSITIONS.forEach(([gx, gz, dir], i) => {
-      const color = i === 0 ? PLAYER_COLOR : botColors[i - 1];
-      const bike  = new Bike(this.scene, i + 1, color, gx, gz, dir);
-      this.bikes.push(bike);
-
-      // Pre-mark starting cell
-      this.grid[gz][gx] = bike.id;
-      bike.recordTrailCell(gx, gz);
-
-      if (i > 0) {
-        this.bots.push(new Bot(bike, personalities[i - 1]));
+  _buildViews() {
+    this.arena.setLayout(this.sim.gridSize, this.sim.walls);
+    this.bikes = this.sim.bikes.map(s => new Bike(this.scene, s, this.sim.gridSize, this.glowLights));
+    // Riders already out (a replay seek): a trail still dissolving carries on
+    // from where it had got to, and a shattered bike stays gone
+    this.bikes.forEach(view => {
+      if (view.state.alive) return;
+      const left = view.state.derezTicks;
+      if (left > 0) {
+        this.effects.dissolve(view, this.reducedMotion, DEREZ_TICKS * this._tickMs(), 1 - (left + 1) / DEREZ_TICKS);
       }
+      if (!this.reducedMotion) view.mesh.visible = false;
     });
+    this._syncPickups();
+  }
+
+  // Graphics setting; applies to the bikes on the grid now and every later round
+  setGlowLights(on) {
+    this.glowLights = on;
+    this.bikes.forEach(b => b.setGlow(on));
   }
 
   _teardown() {
+    this.sim?.dispose?.();
+    this.debug.clear();
+    this.effects.clear();
+    this._shakes = [null, null];
+    document.getElementById('match-hud').textContent = '';
     this.bikes.forEach(b => b.dispose());
+    this.pickups.forEach(p => p.dispose());
+    this.pickups.clear();
+    this._notices.clear();
+    this._camPull = [1, 1];
+    this._camYaw  = [null, null];
+    document.getElementById('pickup-hud').innerHTML = '';
+    if (this.replay) this.ui.hideReplayBar();
+    this.replay      = null;
     this.bikes       = [];
-    this.bots        = [];
-    this.grid        = [];
     this.running     = false;
     this.fastForward = false;
+    this.spectator   = null;
   }
 
   // ─── Tick ──────────────────────────────────────────────────────────────────
 
   _tick() {
-    const player = this.bikes[0];
+    // Online the server ticks; locally we only predict our own bike
+    if (this.net) {
+      this.sim.predict();
+      this.bikes.find(b => b.state === this.sim.local)?.sync();
+      return;
+    }
 
-    // Bots decide turns
-    this.bots.forEach(bot => {
-      if (bot.bike.alive) bot.decide(this.grid, player);
-    });
+    if (this.replay) {
+      if (this.replay.player.atEnd) {
+        this.replay.paused = true;
+        this.tickAccum     = 0;
+        return;
+      }
+      this._syncViews(this.replay.player.step());
+      return;
+    }
 
-    // Collision detection
-    const dying    = new Set();
-    const nextCells = new Map();
+    const events = this.sim.step();
+    this._syncViews(events);
+    events.kills.forEach(k => this._deaths.push({ ...k, tick: this.sim.tick }));
 
-    for (const bike of this.bikes) {
-      if (!bike.alive) continue;
-      const next = bike.peekNext();
-      nextCells.set(bike.id, next);
+    // Win check
+    if (this.sim.over) {
+      this.running = false;
+      document.getElementById('controls-hint').style.opacity = '0';
+      const replay = createReplay(this.sim);
+      this._recordStats();
+      if (this.match) {
+        this.match.recordRound({ deaths: this._deaths, winner: this.sim.winner?.id ?? null });
+        this._recordMatchStats();
+        setTimeout(() => this._showMatchScreen(replay), 800);
+      } else {
+        setTimeout(() => this._showGameOver(replay), 800);
+      }
+      return;
+    }
 
-      const oob = next.gx < 0 || next.gx >= GRID_SIZE
-               || next.gz < 0 || next.gz >= GRID_SIZE;
+    // Once every human is out, watch the rest
+    if (!this.sim.humanBikes.some(b => b.alive)) this._spectateTick();
+  }
 
-      if (oob) {
-        // Out-of-bounds kills even while jumping
-        dying.add(bike.id);
-      } else if (!bike.isJumping() && this.grid[next.gz]?.[next.gx] !== null) {
-        // Trail collision — only applies when on the ground
-        dying.add(bike.id);
-      }
+  // ─── Spectator ─────────────────────────────────────────────────────────────
+
+  // After every tick while spectating: keep the camera on a live rider,
+  // moving to the leader now and then unless the player picked someone
+  _spectateTick() {
+    if (!this.spectator) {
+      this.spectator   = { target: null, auto: true };
+      this.fastForward = this._spectatePrefs.fast;
+      this.tickAccum   = 0; // reset accumulator to avoid burst of fast ticks
     }
+    const s      = this.spectator;
+    const target = this.sim.bikes.find(b => b.id === s.target);
+    if (!target?.alive) {
+      s.auto   = true;
+      s.target = this._leader(null)?.id ?? null;
+    } else if (s.auto && this.sim.tick % LEADER_TICKS === 0) {
+      s.target = this._leader(target).id;
+    } else {
+      return;
+    }
+    this._showSpectatorHint();
+  }
 
-    // Head-on: two bikes moving into the same cell → both die
-    const seen = new Map();
-    for (const [id, cell] of nextCells) {
-      if (dying.has(id)) continue;
-      const k = `${cell.gx},${cell.gz}`;
-      if (seen.has(k)) {
-        dying.add(id);
-        dying.add(seen.get(k));
-      } else {
-        seen.set(k, id);
-      }
+  // The survivor with the most room to ride, sticking with `current` unless
+  // someone clearly has more
+  _leader(current) {
+    const room = bike => Math.max(...Object.values(DIR_VECTOR).map(v =>
+      floodFill(bike.gx + v.x, bike.gz + v.z, this.sim.grid, LEADER_CAP)));
+    let best = current, bestRoom = current ? room(current) * LEADER_MARGIN : -1;
+    for (const bike of this.sim.bikes) {
+      if (!bike.alive || bike === current) continue;
+      const r = room(bike);
+      if (r > bestRoom) [best, bestRoom] = [bike, r];
     }
+    return best;
+  }
 
-    // Kill + clear trails for losers
-    this.bikes.forEach(b => {
-      if (dying.has(b.id)) {
-        b.die();
-        b.clearTrail(this.grid);
-      }
+  _spectateKey(e) {
+    const s     = this.spectator;
+    const alive = this.sim.bikes.filter(b => b.alive);
+    const step  = SPECTATOR_KEYS.prev.includes(e.code) ? -1 : SPECTATOR_KEYS.next.includes(e.code) ? 1 : 0;
+    if (step && alive.length) {
+      e.preventDefault();
+      const i  = alive.findIndex(b => b.id === s.target);
+      s.target = alive[(i + step + alive.length) % alive.length].id;
+      s.auto   = false;
+    } else if (e.code === SPECTATOR_KEYS.leader) {
+      s.auto   = true;
+      s.target = this._leader(null)?.id ?? null;
+    } else if (e.code === SPECTATOR_KEYS.topDown) {
+      this._spectatePrefs.topDown = !this._spectatePrefs.topDown;
+    } else if (e.code === SPECTATOR_KEYS.speed) {
+      this._spectatePrefs.fast = this.fastForward = !this.fastForward;
+      this.tickAccum = 0;
+    } else {
+      return;
+    }
+    this._showSpectatorHint();
+  }
+
+  _showSpectatorHint() {
+    const s    = this.spectator;
+    const bot  = this.sim.bots.find(b => b.bike.id === s.target);
+    const who  = bot ? `WATCHING ${bot.personality}${s.auto ? ' (LEADER)' : ''}` : 'SPECTATING';
+    const hint = document.getElementById('controls-hint');
+    hint.textContent = [
+      who,
+      'A / D SWITCH',
+      'L LEADER',
+      'C CAMERA',
+      `T ${this._spectatePrefs.topDown ? this.cameraMode.label : 'TOP-DOWN'}`,
+      `F ${this.fastForward ? 'NORMAL SPEED' : 'FAST FORWARD'}`,
+    ].join('   ·   ');
+    hint.style.opacity = '1';
+  }
+
+  // Real time per tick right now, after fast-forward and replay speed
+  _tickMs() {
+    let tickMs = this.sim.config.tickMs;
+    if (this.fastForward) tickMs = Math.min(tickMs, FAST_TICK_MS);
+    if (this.replay)      tickMs /= this.replay.speed;
+    return tickMs;
+  }
+
+  // `events` is what Simulation.step() (or its online mirror) returned
+  _syncViews({ died, picked = [], erased = [] }) {
+    died.forEach(id => {
+      const view = this.bikes.find(b => b.id === id);
+      view.die();
+      this.effects.derez(view, this.reducedMotion, DEREZ_TICKS * this._tickMs());
+      const seat = this.sim.humanBikes.findIndex(b => b.id === id);
+      if (seat >= 0 && !this.reducedMotion) this._shakes[seat] = { left: SHAKE_MS, offset: new THREE.Vector3() };
     });
+    erased.forEach(id => this.bikes.find(b => b.id === id)?.redrawTrail());
+    this.bikes.forEach(b => { if (b.state.alive) b.sync(); });
 
-    // Step survivors: mark current cell (only if on the ground) then advance
-    for (const bike of this.bikes) {
-      if (!bike.alive) continue;
-      if (!bike.isJumping()) {
-        this.grid[bike.gz][bike.gx] = bike.id;
-        bike.recordTrailCell(bike.gx, bike.gz);
-      }
-      bike.step();
+    const until = performance.now() + 1500;
+    picked.forEach(({ bikeId, kind }) => this._notices.set(bikeId, { kind, until }));
+    this._syncPickups();
+    this.debug.sync(this.sim, this.bikes);
+  }
+
+  // Add views for new power-ups, drop the ones that were collected
+  _syncPickups() {
+    const live = new Set();
+    for (const p of this.sim.pickups.values()) {
+      live.add(p.id);
+      if (!this.pickups.has(p.id)) this.pickups.set(p.id, new Pickup(this.scene, p, this.sim.gridSize));
+    }
+    for (const [id, view] of this.pickups) {
+      if (live.has(id)) continue;
+      view.dispose();
+      this.pickups.delete(id);
     }
+  }
 
-    // Win check
-    const alive = this.bikes.filter(b => b.alive);
-    if (alive.length <= 1) {
-      this.running = false;
-      document.getElementById('controls-hint').style.opacity = '0';
-      const winner = alive[0] ?? null;
-      setTimeout(() => this.ui.showGameOver(winner, () => this.start()), 800);
+  // ─── Stats ─────────────────────────────────────────────────────────────────
+
+  // Single-player rounds only; see stats-store.js
+  _recordStats() {
+    const sim = this.sim;
+    if (sim.humans !== 1) return;
+    const me    = sim.humanBikes[0];
+    const death = this._deaths.find(d => d.bikeId === me.id);
+    recordRound({
+      won:        sim.winner === me,
+      draw:       !sim.winner,
+      survivedMs: (death?.tick ?? sim.tick) * sim.config.tickMs,
+      jumps:      me.jumpCount,
+      kills:      this._deaths.filter(d => d.by === me.id && d.bikeId !== me.id).length,
+      opponents:  sim.bots.map(bot => bot.personality),
+      seed:       sim.seed,
+      map:        sim.map?.name ?? 'Open',
+    });
+  }
+
+  // Called after the match has scored the round
+  _recordMatchStats() {
+    const match = this.match;
+    if (!match.over || this.sim.humans !== 1) return;
+    const me = match.riders.find(r => r.id === this.sim.humanBikes[0].id);
+    recordMatch({ points: me.points, rounds: match.rounds, format: match.name, won: match.champion === me });
+  }
+
+  // ─── UI ────────────────────────────────────────────────────────────────────
+
+  // Between rounds the scoreboard, after the last one the podium
+  _showMatchScreen(replay) {
+    const match = this.match;
+    const toMenu = () => {
+      this._teardown();
+      this.match = null;
+      this.onExitToMenu();
+    };
+    if (match.over) {
+      this.ui.showPodium(match, {
+        onRematch: () => this.start(this._matchSetup.first),
+        onMenu:    toMenu,
+      });
       return;
     }
+    this.ui.showScoreboard(match, {
+      onNext:   () => this._nextRound(),
+      onExport: () => this.ui.downloadJSON(`light-bike-${replay.seed}.json`, replay),
+      onQuit:   toMenu,
+    });
+  }
 
-    // If the player just died, fast-forward the rest
-    if (!this.fastForward && !player.alive) {
-      this.fastForward = true;
-      this.tickAccum   = 0; // reset accumulator to avoid burst of fast ticks
-    }
+  _showMatchHUD() {
+    document.getElementById('match-hud').textContent = this.match?.heading ?? '';
+  }
+
+  _showGameOver(replay) {
+    const winner = replay.bikes.find(b => b.id === replay.winner) ?? null;
+    const online = this.net !== null;
+    this.ui.showGameOver(winner, {
+      seed:      replay.seed,
+      humans:    replay.humans ?? 1,
+      you:       online ? this.sim.local.playerNum : undefined,
+      onLobby:   online ? () => this._showLobby() : null,
+      onRestart: s => this.start({
+        seed:   s,
+        humans: replay.humans ?? 1,
+        config: replay.config,
+        map:    replay.map ?? null,
+      }),
+      onMenu:    () => { this._teardown(); this.onExitToMenu(); },
+      onExport:  () => this.ui.downloadJSON(`light-bike-${replay.seed}.json`, replay),
+      onWatch:   () => { this.leaveOnline(); this.startReplay(replay); },
+    });
+  }
+
+  _updateReplayBar() {
+    const { player, paused, speed } = this.replay;
+    this.ui.updateReplayBar(player.tick, paused || player.atEnd, speed);
   }
 
   // ─── Camera ────────────────────────────────────────────────────────────────
 
   _followCamera(deltaMs) {
-    const player = this.bikes[0];
-    if (!player?.alive) return;
+    if (this.spectator) {
+      this._spectatorCamera(deltaMs);
+      this._shakeCameras(deltaMs);
+      return;
+    }
+    const mode = this.cameraMode;
+    this.sim.humanBikes.forEach((bike, i) => {
+      if (!bike.alive) return;
+      if (mode.topDown) {
+        this._topDown(i, deltaMs);
+        return;
+      }
+      const want = bike.boosting ? CAM_BOOST_PULL : 1;
+      this._camPull[i] += (want - this._camPull[i]) * (1 - Math.exp(-deltaMs * 0.004));
+      this._chase(i, bike, deltaMs, mode.cockpit ? 1 : this._camPull[i], mode);
+    });
+    this._shakeCameras(deltaMs);
+  }
 
-    const { x, z } = gridToWorld(player.gx, player.gz);
+  _cycleCamera() {
+    const i = CAMERA_MODES.indexOf(this.cameraMode);
+    this.cameraMode = CAMERA_MODES[(i + 1) % CAMERA_MODES.length];
+    localStorage.setItem(CAMERA_STORE, this.cameraMode.id);
+
+    const label = document.getElementById('camera-hud');
+    label.textContent   = `CAMERA · ${this.cameraMode.label}`;
+    label.style.opacity = '1';
+    clearTimeout(this._cameraLabelTimer);
+    this._cameraLabelTimer = setTimeout(() => { label.style.opacity = '0'; }, 1500);
+
+    // Spectators see the new mode straight away, not the T override
+    if (this.spectator) {
+      this._spectatePrefs.topDown = false;
+      this._showSpectatorHint();
+    }
+  }
+
+  // Jolt a crashed player's camera, easing off. The chase no longer moves
+  // that camera, so each frame takes back the last frame's offset.
+  _shakeCameras(deltaMs) {
+    this._shakes.forEach((shake, i) => {
+      if (!shake) return;
+      const cam = this._cams[i];
+      cam.position.sub(shake.offset);
+      shake.left -= deltaMs;
+      if (shake.left <= 0) {
+        this._shakes[i] = null;
+        return;
+      }
+      const amp = SHAKE_AMP * shake.left / SHAKE_MS;
+      shake.offset.set((Math.random() - 0.5) * amp, (Math.random() - 0.5) * amp, (Math.random() - 0.5) * amp);
+      cam.position.add(shake.offset);
+    });
+  }
+
+  // The player's camera mode on whoever is being watched; T swaps in the
+  // whole arena instead
+  _spectatorCamera(deltaMs) {
+    const bike = this.sim.bikes.find(b => b.id === this.spectator.target);
+    const mode = this._spectatePrefs.topDown ? TOP_DOWN : this.cameraMode;
+    if (mode.topDown) this._topDown(0, deltaMs);
+    else if (bike)    this._chase(0, bike, deltaMs, 1, mode);
+  }
+
+  // Straight down over the arena, high enough to fit the whole grid
+  _topDown(i, deltaMs) {
+    const camera  = this._cams[i], target = this._camTargets[i];
+    const span    = this.sim.gridSize * CELL_SIZE * 1.1;
+    const fit     = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * Math.min(1, camera.aspect);
+    // A hair south of straight down so lookAt keeps north up the screen
+    const wantPos = new THREE.Vector3(0, span / 2 / fit, span * 0.001);
+
+    const t = 1 - Math.exp(-deltaMs * 0.008);
+    camera.position.lerp(wantPos, t);
+    target.lerp(new THREE.Vector3(), t);
+    camera.lookAt(target);
+  }
+
+  // Camera `i` behind `bike` as `mode` places it. The heading eases round
+  // through turns rather than snapping to the bike's new direction.
+  _chase(i, bike, deltaMs, pull, mode) {
+    const camera   = this._cams[i], target = this._camTargets[i];
+    const { x, z } = gridToWorld(bike.gx, bike.gz, this.sim.gridSize);
     const bikePos  = new THREE.Vector3(x, 0, z);
-    const dv       = DIR_VECTOR[player.dir];
-    const forward  = new THREE.Vector3(dv.x, 0, dv.z);
+    const dv       = DIR_VECTOR[bike.dir];
+    const heading  = Math.atan2(dv.z, dv.x);
+
+    // Shortest way round to the new heading
+    const yaw  = this._camYaw[i] ?? heading;
+    const turn = ((heading - yaw) % (2 * Math.PI) + 3 * Math.PI) % (2 * Math.PI) - Math.PI;
+    this._camYaw[i] = yaw + turn * (1 - Math.exp(-deltaMs * 0.01));
+    const forward   = new THREE.Vector3(Math.cos(this._camYaw[i]), 0, Math.sin(this._camYaw[i]));
+
+    // The cockpit rides up with jumps
+    const view = this.bikes.find(b => b.state === bike);
+    const lift = mode.cockpit && view ? view.mesh.position.y - BIKE_Y : 0;
 
     const wantPos = bikePos.clone()
-      .addScaledVector(forward, -CAM_DIST   * CELL_SIZE)
-      .setY(              CAM_HEIGHT * CELL_SIZE);
+      .addScaledVector(forward, -mode.dist * CELL_SIZE * pull)
+      .setY(mode.height * CELL_SIZE * pull + lift);
 
     const wantLook = bikePos.clone()
-      .addScaledVector(forward, CAM_AHEAD * CELL_SIZE);
-
-    const t = 1 - Math.exp(-deltaMs * 0.012);
-    this.camera.position.lerp(wantPos, t);
-    this._camTarget.lerp(wantLook, t);
-    this.camera.lookAt(this._camTarget);
+      .addScaledVector(forward, mode.ahead * CELL_SIZE)
+      .setY(lift);
+
+    // The cockpit keeps up with the bike; chase cams trail behind
+    const t = 1 - Math.exp(-deltaMs * (mode.cockpit ? 0.03 : 0.012));
+    camera.position.lerp(wantPos, t);
+    target.lerp(wantLook, t);
+    camera.lookAt(target);
   }
 
+  // Boost gauge and jump pips, one group per human
   _updateJumpHUD() {
     const hud    = document.getElementById('jump-hud');
-    const player = this.bikes[0];
-    if (!player) { hud.innerHTML = ''; return; }
-    const used = player.jumpCount;
-    hud.innerHTML = Array.from({ length: 2 }, (_, i) =>
-      `<div class="jump-pip ${i < (2 - used) ? 'available' : 'used'}"></div>`
-    ).join('');
+    const humans = this.sim.humanBikes;
+    hud.classList.toggle('split', humans.length > 1);
+    hud.innerHTML = humans.map(bike => {
+      const color = '#' + bike.color.toString(16).padStart(6, '0');
+      const left  = bike.maxJumps - bike.jumpCount;
+      const pips  = Array.from({ length: bike.maxJumps }, (_, i) =>
+        `<div class="jump-pip ${i < left ? 'available' : 'used'}"></div>`
+      ).join('');
+      const boost = Math.round(bike.boostMeter / BOOST_METER * 100);
+      const gauge = `<div class="boost-gauge ${bike.boosting ? 'active' : ''}">
+        <div class="boost-fill" style="width:${boost}%"></div></div>`;
+      return `<div class="jump-group" style="--pip:${color}">${gauge}${pips}</div>`;
+    }).join('');
+  }
+
+  // Active power-up timers, plus a short flash for whatever was just collected
+  _updatePickupHUD() {
+    const hud    = document.getElementById('pickup-hud');
+    const humans = this.sim.humanBikes;
+    const now    = performance.now();
+    const chip   = (kind, text) => {
+      const color = '#' + PICKUP_COLORS[kind].toString(16).padStart(6, '0');
+      return `<span class="pickup-chip" style="--chip:${color}">${text}</span>`;
+    };
+    hud.classList.toggle('split', humans.length > 1);
+    hud.innerHTML = humans.map(bike => {
+      const chips  = [];
+      const notice = this._notices.get(bike.id);
+      if (notice && notice.until > now && notice.kind !== 'BOOST' && notice.kind !== 'GHOST') {
+        chips.push(chip(notice.kind, notice.kind === 'JUMP' ? '+1 JUMP' : notice.kind));
+      }
+      if (bike.boostTicks > 0) chips.push(chip('BOOST', `BOOST ${bike.boostTicks}`));
+      if (bike.ghostTicks > 0) chips.push(chip('GHOST', `GHOST ${bike.ghostTicks}`));
+      return `<div class="pickup-group">${chips.join('')}</div>`;
+    }).join('');
   }
 
   _orbitCamera() {
-    const R = 120, H = 90, SPEED = 0.00015;
+    // Radius and height scale with the arena (120 / 90 on the default 80×80)
+    const span = this.arena.gridSize * CELL_SIZE;
+    const R = span * 0.75, H = span * 0.56, SPEED = 0.00015;
     const a = performance.now() * SPEED;
     this.camera.position.set(Math.sin(a) * R, H, Math.cos(a) * R);
     this.camera.lookAt(0, 0, 0);
@@ -234,12 +767,52 @@ export class Game {
   _bindInput() {
     document.addEventListener('keydown', e => {
       if (!this.running) return;
-      const player = this.bikes[0];
-      if (!player?.alive) return;
-
-      if (e.code === 'KeyA')  player.queueTurn('LEFT');
-      if (e.code === 'KeyD')  player.queueTurn('RIGHT');
-      if (e.code === 'Space') { e.preventDefault(); player.jump(); }
+      // ` shows what the bots are thinking
+      if (e.code === 'Backquote') {
+        this.debug.toggle(this.sim);
+        this.debug.sync(this.sim, this.bikes);
+        return;
+      }
+      if (e.code === CAMERA_KEY) {
+        this._cycleCamera();
+        return;
+      }
+      if (this.replay) { this._replayKey(e); return; }
+      if (this.spectator) { this._spectateKey(e); return; }
+
+      const bindings = KEY_BINDINGS[this.sim.humans];
+      this.sim.humanBikes.forEach((bike, i) => {
+        const keys = bindings[i];
+        if (!bike.alive) return;
+        if (e.code === keys.left)  this._control(bike, 'LEFT');
+        if (e.code === keys.right) this._control(bike, 'RIGHT');
+        if (e.code === keys.jump)  { e.preventDefault(); this._control(bike, 'JUMP'); }
+        if (e.code === keys.boost && !e.repeat) { e.preventDefault(); this._control(bike, 'BOOST'); }
+      });
     });
   }
+
+  // Online inputs go through the mirror so they're predicted and sent
+  _control(bike, action) {
+    if (this.net) this.sim.input(action);
+    else          bike.control(action);
+  }
+
+  // Space pause · ←/→ step · [ ] speed · Esc exit
+  _replayKey(e) {
+    switch (e.code) {
+      case 'Space':
+        e.preventDefault();
+        this.toggleReplayPause();
+        break;
+      case 'ArrowRight':   this.stepReplay();          break;
+      case 'ArrowLeft':
+        this.replay.paused = true;
+        this.seekReplay(this.replay.player.tick - 1);
+        break;
+      case 'BracketLeft':  this.changeReplaySpeed(-1); break;
+      case 'BracketRight': this.changeReplaySpeed(1);  break;
+      case 'Escape':       this.exitReplay();          break;
+    }
+  }
 }
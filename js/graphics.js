@@ -0,0 +1,48 @@
+// Graphics settings: quality presets, the individual toggles behind them and
+// their persistence. main.js applies them to the renderer, scene and bloom.
+const KEY = 'lightbike.graphics';
+
+export const RESOLUTION_SCALES = [0.5, 0.75, 1];
+export const BLOOM_MAX         = 2;
+
+export const GRAPHICS_PRESETS = {
+  LOW:    { bloom: 0,   shadows: false, resolution: 0.5,  bikeLights: false, fog: false },
+  MEDIUM: { bloom: 1,   shadows: true,  resolution: 0.75, bikeLights: false, fog: true  },
+  HIGH:   { bloom: 1.4, shadows: true,  resolution: 1,    bikeLights: true,  fog: true  },
+};
+
+// `fps` and `reducedMotion` aren't part of any preset. Reduced motion starts
+// out following the system setting.
+export const DEFAULT_GRAPHICS = {
+  ...GRAPHICS_PRESETS.HIGH,
+  fps:           false,
+  reducedMotion: typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches,
+};
+
+// Clamp and fill in a partial settings object
+export function normalizeGraphics(settings = {}) {
+  const out  = { ...DEFAULT_GRAPHICS };
+  const bool = key => { if (typeof settings[key] === 'boolean') out[key] = settings[key]; };
+  if (Number.isFinite(settings.bloom)) out.bloom = Math.min(BLOOM_MAX, Math.max(0, settings.bloom));
+  if (RESOLUTION_SCALES.includes(settings.resolution)) out.resolution = settings.resolution;
+  ['shadows', 'bikeLights', 'fog', 'fps', 'reducedMotion'].forEach(bool);
+  return out;
+}
+
+// The preset these settings match, or null once a toggle has moved off it
+export function matchingPreset(settings) {
+  return Object.keys(GRAPHICS_PRESETS).find(name =>
+    Object.entries(GRAPHICS_PRESETS[name]).every(([k, v]) => settings[k] === v)) ?? null;
+}
+
+export function loadGraphics() {
+  try {
+    return normalizeGraphics(JSON.parse(localStorage.getItem(KEY) ?? '{}') ?? {});
+  } catch {
+    return normalizeGraphics();
+  }
+}
+
+export function saveGraphics(settings) {
+  localStorage.setItem(KEY, JSON.stringify(normalizeGraphics(settings)));
+}
@@ -1,7 +1,9 @@
 import * as THREE from 'three';
-import { buildScene } from './scene.js';
+import { buildScene, buildComposer, setBloom, setFog, setShadows } from './scene.js';
 import { Game }       from './game.js';
 import { UI }         from './ui.js';
+import { Editor }     from './editor.js';
+import { loadGraphics, saveGraphics } from './graphics.js';
 
 // ─── Renderer ────────────────────────────────────────────────────────────────
 
@@ -13,7 +15,6 @@ const renderer = new THREE.WebGLRenderer({
   powerPreference: 'high-performance',
 });
 renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 renderer.shadowMap.enabled = true;
 renderer.shadowMap.type    = THREE.PCFSoftShadowMap;
 renderer.toneMapping       = THREE.ACESFilmicToneMapping;
@@ -21,14 +22,112 @@ renderer.toneMappingExposure = 1.0;
 
 // ─── Scene / Camera / Post-processing ────────────────────────────────────────
 
-const { scene, camera, composer } = buildScene(renderer);
+const { scene, camera, composer, arena } = buildScene(renderer);
 
 // ─── Game ─────────────────────────────────────────────────────────────────────
 
-const ui   = new UI();
-const game = new Game(scene, camera, ui);
+const ui     = new UI();
+const game   = new Game(scene, camera, ui, arena);
+const editor = new Editor(scene, camera, arena, ui, canvas);
 
-ui.showStartScreen(() => game.start());
+// Whichever of the two owns the camera this frame
+let mode = game;
+
+function showMenu() {
+  mode = game;
+  ui.showStartScreen({
+    onStart:    opts        => game.start(opts),
+    onReplay:   replay      => game.startReplay(replay),
+    onOnline:   (...args)   => game.joinOnline(...args),
+    onEditor:   ()          => { mode = editor; editor.open(); },
+    onGraphics: settings    => { saveGraphics(settings); applyGraphics(settings); },
+  });
+}
+
+game.onExitToMenu = showMenu;
+editor.onExit     = showMenu;
+editor.onPlay     = map => { mode = game; game.start({ map }); };
+showMenu();
+
+// ─── Viewports ───────────────────────────────────────────────────────────────
+
+// Each camera gets its own composer so bloom works per viewport
+const composers = new Map([[camera, composer]]);
+let   viewCams  = [camera];
+
+function composerFor(cam) {
+  if (!composers.has(cam)) {
+    const c = buildComposer(renderer, scene, cam, graphics.bloom);
+    c.setPixelRatio(renderer.getPixelRatio());
+    composers.set(cam, c);
+  }
+  return composers.get(cam);
+}
+
+// Side-by-side columns, one per active camera
+function layoutViews() {
+  const w = window.innerWidth, h = window.innerHeight;
+  const vw = w / viewCams.length;
+  renderer.setSize(w, h);
+  viewCams.forEach(cam => {
+    cam.aspect = vw / h;
+    cam.updateProjectionMatrix();
+    composerFor(cam).setSize(vw, h);
+  });
+}
+
+function render() {
+  const cams = mode.viewCameras;
+  if (cams.length !== viewCams.length || cams.some((c, i) => c !== viewCams[i])) {
+    viewCams = cams;
+    layoutViews();
+  }
+
+  const w = window.innerWidth, h = window.innerHeight;
+  const vw = w / viewCams.length;
+  renderer.setScissorTest(viewCams.length > 1);
+  viewCams.forEach((cam, i) => {
+    renderer.setViewport(i * vw, 0, vw, h);
+    renderer.setScissor(i * vw, 0, vw, h);
+    composerFor(cam).render();
+  });
+  renderer.setScissorTest(false);
+}
+
+// ─── Graphics settings ───────────────────────────────────────────────────────
+
+let graphics = loadGraphics();
+
+const fpsCounter = document.getElementById('fps-counter');
+let fpsFrames = 0, fpsSince = 0;
+
+// Applied live: nothing here needs a reload
+function applyGraphics(settings) {
+  graphics = settings;
+  const ratio = Math.min(window.devicePixelRatio, 2) * settings.resolution;
+  renderer.setPixelRatio(ratio);
+  composers.forEach(c => {
+    c.setPixelRatio(ratio);
+    setBloom(c, settings.bloom);
+  });
+  setShadows(renderer, scene, settings.shadows);
+  setFog(scene, settings.fog);
+  game.setGlowLights(settings.bikeLights);
+  game.reducedMotion = settings.reducedMotion;
+  fpsCounter.style.display = settings.fps ? 'block' : 'none';
+  layoutViews();
+}
+
+function countFrame(now) {
+  if (!graphics.fps) return;
+  fpsFrames++;
+  if (now - fpsSince < 500) return;
+  fpsCounter.textContent = `${Math.round(fpsFrames * 1000 / (now - fpsSince))} FPS`;
+  fpsFrames = 0;
+  fpsSince  = now;
+}
+
+applyGraphics(graphics);
 
 // ─── Loop ─────────────────────────────────────────────────────────────────────
 
@@ -38,18 +137,13 @@ function loop(now) {
   requestAnimationFrame(loop);
   const delta = Math.min(now - last, 100); // clamp to avoid spiral on tab switch
   last = now;
-  game.update(delta);
-  composer.render();
+  mode.update(delta);
+  render();
+  countFrame(now);
 }
 
 requestAnimationFrame(loop);
 
 // ─── Resize ──────────────────────────────────────────────────────────────────
 
-window.addEventListener('resize', () => {
-  const w = window.innerWidth, h = window.innerHeight;
-  camera.aspect = w / h;
-  camera.updateProjectionMatrix();
-  renderer.setSize(w, h);
-  composer.setSize(w, h);
-});
+window.addEventListener('resize', layoutViews);
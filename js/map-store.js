@@ -0,0 +1,30 @@
+// Custom maps saved in localStorage, keyed by name.
+import { parseMap } from './maps.js';
+
+const KEY = 'lightbike.maps';
+
+// Every saved map that still parses; broken entries are skipped
+export function loadSavedMaps() {
+  let raw;
+  try {
+    raw = JSON.parse(localStorage.getItem(KEY) ?? '[]');
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(raw)) return [];
+  return raw.flatMap(m => {
+    try { return [parseMap(m)]; } catch { return []; }
+  });
+}
+
+// Saving under an existing name replaces that map
+export function saveMap(map) {
+  const maps = loadSavedMaps().filter(m => m.name !== map.name);
+  maps.push(map);
+  localStorage.setItem(KEY, JSON.stringify(maps));
+}
+
+export function deleteSavedMap(name) {
+  const maps = loadSavedMaps().filter(m => m.name !== name);
+  localStorage.setItem(KEY, JSON.stringify(maps));
+}
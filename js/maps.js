@@ -0,0 +1,195 @@
+// Arena maps: size, spawn points and static walls. Pure data + validation.
+//
+// Map JSON:
+//   {
+//     "name":   "Pillars",
+//     "size":   80,                              // square grid, 40–200
+//     "spawns": [[gx, gz, "EAST"], ...],         // one per rider, in seat order
+//     "walls":  [[gx, gz], ...],                 // single wall cells (optional)
+//     "rects":  [[gx, gz, width, depth], ...]    // filled wall blocks (optional)
+//   }
+//
+// The number of spawns caps how many riders the map seats.
+import { DIR_VECTOR } from './constants.js';
+import { CONFIG_LIMITS } from './config.js';
+
+// Expand walls + rects into a de-duplicated list of [gx, gz] cells
+export function mapCells(map) {
+  const seen  = new Set();
+  const cells = [];
+  const add = (gx, gz) => {
+    const k = gz * map.size + gx;
+    if (gx < 0 || gz < 0 || gx >= map.size || gz >= map.size || seen.has(k)) return;
+    seen.add(k);
+    cells.push([gx, gz]);
+  };
+  (map.walls ?? []).forEach(([gx, gz]) => add(gx, gz));
+  // Clamped to the arena, so a rect never costs more than the grid has cells
+  (map.rects ?? []).forEach(([x, z, w, d]) => {
+    for (let gz = Math.max(0, z); gz < Math.min(map.size, z + d); gz++) {
+      for (let gx = Math.max(0, x); gx < Math.min(map.size, x + w); gx++) add(gx, gz);
+    }
+  });
+  return cells;
+}
+
+// Validate a map object (e.g. from a JSON file). Returns a clean copy;
+// throws an Error naming the first problem found.
+export function parseMap(data) {
+  if (typeof data === 'string') {
+    try { data = JSON.parse(data); } catch { throw new Error('Map file is not valid JSON'); }
+  }
+  const { min, max } = CONFIG_LIMITS.gridSize;
+  const size = data?.size;
+  if (!Number.isInteger(size) || size < min || size > max) {
+    throw new Error(`Map size must be a whole number from ${min} to ${max}`);
+  }
+  const isInt = v => Number.isInteger(v);
+  const walls = data.walls ?? [];
+  const rects = data.rects ?? [];
+  if (!Array.isArray(walls) || !walls.every(c => Array.isArray(c) && c.length === 2 && c.every(isInt))) {
+    throw new Error('Map walls must be [gx, gz] pairs');
+  }
+  if (!Array.isArray(rects) || !rects.every(r => Array.isArray(r) && r.length === 4 && r.every(isInt))) {
+    throw new Error('Map rects must be [gx, gz, width, depth] arrays');
+  }
+  // Maps arrive from other players online: keep expanding them cheap
+  if (walls.length > size * size) throw new Error('Map has more walls than cells');
+  const outside = rects.findIndex(([x, z, w, d]) => x < 0 || z < 0 || w < 1 || d < 1 || x + w > size || z + d > size);
+  if (outside !== -1) throw new Error(`Map rect ${outside + 1} is outside the arena`);
+  if (rects.reduce((sum, [, , w, d]) => sum + w * d, 0) > size * size) {
+    throw new Error('Map rects cover more cells than the arena has');
+  }
+
+  const map = {
+    name:   String(data.name ?? 'Custom').slice(0, 32),
+    size,
+    spawns: [],
+    walls:  walls.map(c => [...c]),
+    rects:  rects.map(r => [...r]),
+  };
+
+  const blocked = new Set(mapCells(map).map(([gx, gz]) => gz * size + gx));
+  const used    = new Set();
+  const spawns  = data.spawns;
+  if (!Array.isArray(spawns) || spawns.length < 2) {
+    throw new Error('Map needs at least two spawns');
+  }
+  spawns.forEach((s, i) => {
+    const [gx, gz, dir] = Array.isArray(s) ? s : [];
+    if (!isInt(gx) || !isInt(gz) || !DIR_VECTOR[dir]) {
+      throw new Error(`Spawn ${i + 1} must be [gx, gz, "NORTH" | "EAST" | "SOUTH" | "WEST"]`);
+    }
+    const k = gz * size + gx;
+    if (gx < 0 || gz < 0 || gx >= size || gz >= size) throw new Error(`Spawn ${i + 1} is outside the arena`);
+    if (blocked.has(k)) throw new Error(`Spawn ${i + 1} is inside a wall`);
+    if (used.has(k))    throw new Error(`Spawn ${i + 1} shares a cell with another spawn`);
+    used.add(k);
+    map.spawns.push([gx, gz, dir]);
+  });
+  return map;
+}
+
+// ─── Playability ─────────────────────────────────────────────────────────────
+
+const MIN_RUN  = 3;    // free cells straight ahead of a spawn
+const MIN_ROOM = 40;   // cells reachable from a spawn
+
+// Everything that would make a map unfair or unplayable, as readable strings.
+// An empty list means the map is good to go.
+export function validateMap(data) {
+  let map;
+  try { map = parseMap(data); } catch (err) { return [err.message]; }
+
+  const n       = map.size;
+  const blocked = new Set(mapCells(map).map(([gx, gz]) => gz * n + gx));
+  map.spawns.forEach(([gx, gz]) => blocked.add(gz * n + gx));
+  const free = (gx, gz) => gx >= 0 && gz >= 0 && gx < n && gz < n && !blocked.has(gz * n + gx);
+
+  const problems = [];
+  map.spawns.forEach(([gx, gz, dir], i) => {
+    const v = DIR_VECTOR[dir];
+    let run = 0;
+    while (run < MIN_RUN && free(gx + v.x * (run + 1), gz + v.z * (run + 1))) run++;
+    if (run < MIN_RUN) {
+      problems.push(`Spawn ${i + 1} faces a wall within ${MIN_RUN} cells`);
+      return;
+    }
+    // Room to manoeuvre: flood fill from the first cell ahead
+    const start = [gx + v.x, gz + v.z];
+    const seen  = new Set([start[1] * n + start[0]]);
+    const queue = [start];
+    while (queue.length && seen.size < MIN_ROOM) {
+      const [cx, cz] = queue.pop();
+      for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = cx + dx, nz = cz + dz, k = nz * n + nx;
+        if (!seen.has(k) && free(nx, nz)) { seen.add(k); queue.push([nx, nz]); }
+      }
+    }
+    if (seen.size < MIN_ROOM) problems.push(`Spawn ${i + 1} is boxed into ${seen.size} cells`);
+  });
+  return problems;
+}
+
+// ─── Built-in maps ───────────────────────────────────────────────────────────
+
+// 3×3 pillars on a lattice, leaving the spawn ring and the centre open
+function pillars() {
+  const rects = [];
+  for (const z of [9, 25, 52, 68]) {
+    for (const x of [9, 25, 52, 68]) rects.push([x, z, 3, 3]);
+  }
+  rects.push([32, 32, 3, 3], [45, 32, 3, 3], [32, 45, 3, 3], [45, 45, 3, 3]);
+  return {
+    name: 'Pillars',
+    size: 80,
+    spawns: [
+      [20, 40, 'EAST'], [40, 20, 'SOUTH'], [60, 40, 'WEST'], [40, 60, 'NORTH'],
+      [16, 16, 'EAST'], [63, 16, 'SOUTH'], [63, 63, 'WEST'], [16, 63, 'NORTH'],
+    ],
+    rects,
+  };
+}
+
+// Long east–west corridors joined by gaps at alternating ends
+function maze() {
+  const rects = [];
+  [14, 28, 42, 56, 70].forEach((z, i) => {
+    if (i % 2 === 0) rects.push([0, z, 68, 1]);
+    else             rects.push([12, z, 68, 1]);
+  });
+  rects.push([39, 20, 2, 4], [39, 48, 2, 4], [20, 34, 2, 4], [58, 62, 2, 4]);
+  return {
+    name: 'Maze Corridors',
+    size: 80,
+    spawns: [
+      [6, 7, 'EAST'],   [73, 21, 'WEST'], [6, 35, 'EAST'],  [73, 49, 'WEST'],
+      [6, 63, 'EAST'],  [73, 75, 'WEST'], [73, 7, 'WEST'],  [6, 21, 'EAST'],
+    ],
+    rects,
+  };
+}
+
+// A thick plus through the middle splits the arena into four quadrants
+function cross() {
+  return {
+    name: 'Central Cross',
+    size: 80,
+    spawns: [
+      [20, 28, 'NORTH'], [52, 20, 'EAST'], [60, 52, 'SOUTH'], [28, 60, 'WEST'],
+      [10, 10, 'EAST'],  [69, 10, 'SOUTH'], [69, 69, 'WEST'], [10, 69, 'NORTH'],
+    ],
+    rects: [
+      [38, 14, 4, 52],
+      [14, 38, 52, 4],
+    ],
+  };
+}
+
+// null = the plain open arena with generated spawns
+export const BUILTIN_MAPS = [
+  { id: 'open',    name: 'Open Arena',     map: null },
+  { id: 'pillars', name: 'Pillars',        map: parseMap(pillars()) },
+  { id: 'maze',    name: 'Maze Corridors', map: parseMap(maze()) },
+  { id: 'cross',   name: 'Central Cross',  map: parseMap(cross()) },
+];
@@ -0,0 +1,95 @@
+// Multi-round matches. Pure bookkeeping over round results; Game decides
+// when rounds start and which screens to show.
+//
+// Formats:
+//   BEST_OF  — play `target` rounds
+//   FIRST_TO — play until someone has `target` points
+// Either way a tie for the lead at the end means one more round.
+//
+// Points per round:
+//   placement — one point for every rider out before you, so the last one
+//               standing gets riders − 1 and the first out gets 0; riders
+//               out on the same tick share the lower placement
+//   kills     — KILL_POINTS for every rider that crashed into your trail or
+//               into you. Own trail, walls and the arena edge credit nobody.
+
+export const KILL_POINTS = 1;
+
+// Choices offered on the start screen; null plays a single round
+export const MATCH_FORMATS = [
+  { id: 'single', label: 'SINGLE ROUND', match: null },
+  { id: 'bo3',    label: 'BEST OF 3',    match: { format: 'BEST_OF',  target: 3  } },
+  { id: 'bo5',    label: 'BEST OF 5',    match: { format: 'BEST_OF',  target: 5  } },
+  { id: 'ft10',   label: 'FIRST TO 10',  match: { format: 'FIRST_TO', target: 10 } },
+  { id: 'ft20',   label: 'FIRST TO 20',  match: { format: 'FIRST_TO', target: 20 } },
+];
+
+export class Match {
+  // `riders`: [{ id, color, label }] — the same bikes ride every round
+  constructor({ format, target }, riders) {
+    this.format = format;
+    this.target = target;
+    this.riders = riders.map(r => ({ ...r, points: 0, wins: 0, kills: 0, last: null }));
+    this.rounds = 0;
+  }
+
+  // One finished round. `deaths` is every { bikeId, by, tick } in the order
+  // they happened; `winner` is the surviving bike id, or null for a draw.
+  recordRound({ deaths, winner }) {
+    const outAt = new Map(deaths.map(d => [d.bikeId, d.tick]));
+    const kills = new Map();
+    for (const { bikeId, by } of deaths) {
+      if (by !== null && by !== bikeId) kills.set(by, (kills.get(by) ?? 0) + 1);
+    }
+
+    for (const r of this.riders) {
+      const tick  = outAt.get(r.id) ?? Infinity;
+      const place = this.riders.filter(o => (outAt.get(o.id) ?? Infinity) < tick).length;
+      const k     = kills.get(r.id) ?? 0;
+      r.last    = { place, kills: k, points: place + k * KILL_POINTS };
+      r.points += r.last.points;
+      r.kills  += k;
+      if (r.id === winner) r.wins++;
+    }
+    this.rounds++;
+  }
+
+  // Riders best first: points, then round wins, then kills
+  get standings() {
+    return [...this.riders].sort((a, b) =>
+      b.points - a.points || b.wins - a.wins || b.kills - a.kills || a.id - b.id);
+  }
+
+  // The lead is shared, so the match can't end yet
+  get tied() {
+    const [first, second] = this.standings;
+    return second !== undefined && first.points === second.points;
+  }
+
+  get over() {
+    const reached = this.format === 'BEST_OF'
+      ? this.rounds >= this.target
+      : this.standings[0].points >= this.target;
+    return reached && !this.tied;
+  }
+
+  get champion() {
+    return this.over ? this.standings[0] : null;
+  }
+
+  // e.g. "BEST OF 5"
+  get name() {
+    return `${this.format === 'BEST_OF' ? 'BEST OF' : 'FIRST TO'} ${this.target}`;
+  }
+
+  // e.g. "ROUND 2 OF 5", "FIRST TO 10", "SUDDEN DEATH"
+  get heading() {
+    if (this.format === 'BEST_OF' && this.rounds < this.target) {
+      return `ROUND ${this.rounds + 1} OF ${this.target}`;
+    }
+    if (this.format === 'FIRST_TO' && this.standings[0].points < this.target) {
+      return `FIRST TO ${this.target}`;
+    }
+    return 'SUDDEN DEATH';
+  }
+}
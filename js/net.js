@@ -0,0 +1,215 @@
+// Browser side of online play. The server (server/room.js) owns the rules;
+// this file mirrors its state for rendering and predicts the local bike so
+// turns feel instant despite the round trip.
+//
+// Protocol (JSON over one WebSocket):
+//   client → server  { t: 'start', config?, map? }
+//                    { t: 'input', seq, action: 'LEFT' | 'RIGHT' | 'JUMP' | 'BOOST' }
+//   server → client  { t: 'lobby', players, you, playing, max }
+//                    { t: 'start', you, seed, config, map, bikes: [{ id, color, gx, gz, dir, playerNum, name }] }
+//                    { t: 'tick',  tick,
+//                                  bikes:   [[id, gx, gz, dir, jumpTicksLeft, jumpCount, maxJumps, boostTicks, ghostTicks,
+//                                             boostMeter, boostOn, progress]],
+//                                  cells:   [[id, gx, gz]], trails: [[id, [[gx, gz], ...]]],
+//                                  died:    [id], picked: [{ bikeId, kind }],
+//                                  pickups: [[id, kind, gx, gz]], acks: { [bikeId]: seq } }
+//                    { t: 'over',  winner, replay }
+//                    { t: 'error', message }
+import { SUB_TICKS } from './constants.js';
+import { BikeState } from './simulation.js';
+import { mapCells }  from './maps.js';
+
+// How many ticks the local bike may run ahead of the last server state
+const MAX_LEAD = 3;
+
+export function defaultServerUrl() {
+  if (location.protocol === 'http:' || location.protocol === 'https:') {
+    const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${scheme}//${location.host}/ws`;
+  }
+  return 'ws://localhost:8080/ws';
+}
+
+// ─── Connection ──────────────────────────────────────────────────────────────
+
+export class NetClient {
+  // handlers: { onLobby, onStart, onTick, onOver, onError, onClose }
+  constructor(url, name, handlers) {
+    this.handlers = handlers;
+    this._seq     = 0;
+
+    const u = new URL(url);
+    if (name) u.searchParams.set('name', name);
+    this.socket = new WebSocket(u);
+    this.socket.addEventListener('message', e => this._receive(e.data));
+    this.socket.addEventListener('error', () => handlers.onError?.('Could not reach server'));
+    this.socket.addEventListener('close', () => handlers.onClose?.());
+  }
+
+  requestStart(config, map) {
+    this._send({ t: 'start', config, map });
+  }
+
+  // Returns the sequence number the server will acknowledge
+  sendInput(action) {
+    const seq = ++this._seq;
+    this._send({ t: 'input', seq, action });
+    return seq;
+  }
+
+  close() {
+    this.handlers = {};
+    this.socket.close();
+  }
+
+  _send(msg) {
+    if (this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(msg));
+  }
+
+  _receive(text) {
+    let msg;
+    try { msg = JSON.parse(text); } catch { return; }
+    const h = this.handlers;
+    switch (msg.t) {
+      case 'lobby': h.onLobby?.(msg);          break;
+      case 'start': h.onStart?.(msg);          break;
+      case 'tick':  h.onTick?.(msg);           break;
+      case 'over':  h.onOver?.(msg);           break;
+      case 'error': h.onError?.(msg.message);  break;
+    }
+  }
+}
+
+// ─── Mirrored state ──────────────────────────────────────────────────────────
+
+// Looks enough like a Simulation for Game and the Bike views to render it:
+// bikes, humans / humanBikes, config / gridSize, walls, pickups, tick, over,
+// winner, seed.
+export class NetSimulation {
+  constructor(startMsg, client) {
+    this.client = client;
+    this.seed   = startMsg.seed;
+    this.config = startMsg.config;
+    this.map    = startMsg.map ?? null;
+    this.walls  = this.map ? mapCells(this.map) : [];
+    this.pickups = new Map();      // keyed like Simulation.pickups
+    this.tick   = 0;
+    this.over   = false;
+    this.winner = null;
+    this.humans = 1;               // local humans — online is one per browser
+    this.names  = new Map(startMsg.bikes.map(b => [b.id, b.name]));
+
+    this.bikes = startMsg.bikes.map(b => {
+      const s = new BikeState(b.id, b.color, b.gx, b.gz, b.dir, b.playerNum);
+      s.maxJumps = this.config.jumps;
+      s.trail.push({ gx: b.gx, gz: b.gz });
+      return s;
+    });
+    this.local = this.bikes.find(b => b.id === startMsg.you);
+
+    this._predTick = 0;            // tick the local bike has been predicted to
+    this._pending  = [];           // unacknowledged { seq, action, tick }
+  }
+
+  get gridSize() {
+    return this.config.gridSize;
+  }
+
+  get humanBikes() {
+    return [this.local];
+  }
+
+  // Local key press: predict it now, send it to the server
+  input(action) {
+    const bike = this.local;
+    if (!bike.alive || this.over) return;
+    bike.control(action);
+    const seq = this.client.sendInput(action);
+    this._pending.push({ seq, action, tick: this._predTick });
+  }
+
+  // Local clock tick: run the local bike ahead while waiting on the server
+  predict() {
+    if (!this.local.alive || this.over) return;
+    if (this._predTick - this.tick >= MAX_LEAD) return;
+    this._advanceLocal();
+    this._predTick++;
+  }
+
+  // Apply an authoritative tick. Returns events like Simulation.step().
+  applyTick(msg) {
+    for (const id of msg.died) {
+      const b = this._bike(id);
+      b.alive       = false;
+      b.pendingTurn = null;
+      b.trail       = [];
+    }
+    for (const [id, gx, gz, dir, jumpTicksLeft, jumpCount, maxJumps, boostTicks, ghostTicks,
+                boostMeter, boostOn, _progress] of msg.bikes) {
+      Object.assign(this._bike(id), {
+        gx, gz, dir, jumpTicksLeft, jumpCount, maxJumps, boostTicks, ghostTicks,
+        boostMeter, boostOn, _progress, pendingTurn: null,
+      });
+    }
+    for (const [id, cells] of msg.trails) {
+      this._bike(id).trail = cells.map(([gx, gz]) => ({ gx, gz }));
+    }
+    for (const [id, gx, gz] of msg.cells) {
+      this._bike(id).trail.push({ gx, gz });
+    }
+    const n = this.gridSize;
+    this.pickups = new Map(msg.pickups.map(([id, kind, gx, gz]) => [gz * n + gx, { id, kind, gx, gz }]));
+    this.tick = msg.tick;
+
+    const ack = msg.acks?.[this.local.id] ?? 0;
+    this._pending = this._pending.filter(p => p.seq > ack);
+    this._reconcile();
+
+    return { died: msg.died, picked: msg.picked, erased: msg.trails.map(([id]) => id) };
+  }
+
+  finish(msg) {
+    this.over   = true;
+    this.winner = msg.winner === null ? null : this._bike(msg.winner);
+  }
+
+  // ─── Private ──────────────────────────────────────────────────────────────
+
+  // Re-run the inputs the server hasn't seen yet on top of its latest state
+  _reconcile() {
+    const bike = this.local;
+    if (!bike.alive) return;
+
+    const lead = Math.max(0, Math.min(this._predTick - this.tick, MAX_LEAD));
+    this._predTick = this.tick;
+    for (let step = 0; step <= lead; step++) {
+      for (const p of this._pending) {
+        if (p.tick > this._predTick) continue;
+        if (p.tick === this._predTick || step === 0) {
+          bike.control(p.action);
+        }
+      }
+      if (step === lead) break;
+      this._advanceLocal();
+      this._predTick++;
+    }
+  }
+
+  // One tick of movement at the bike's current speed, banking sub-ticks
+  // the same way the server does
+  _advanceLocal() {
+    const bike = this.local;
+    for (let sub = 0; sub < SUB_TICKS; sub++) {
+      bike._progress += bike.currentSpeed;
+      if (bike._progress >= SUB_TICKS) {
+        bike._progress -= SUB_TICKS;
+        bike.advance();
+      }
+    }
+    if (bike.jumpTicksLeft > 0) bike.jumpTicksLeft--;
+  }
+
+  _bike(id) {
+    return this.bikes.find(b => b.id === id);
+  }
+}
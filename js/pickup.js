@@ -0,0 +1,46 @@
+import * as THREE from 'three';
+import { CELL_SIZE, PICKUP_COLORS, gridToWorld } from './constants.js';
+
+// One shape per kind so they read at a glance, not just by colour
+const SHAPES = {
+  JUMP:   () => new THREE.ConeGeometry(CELL_SIZE * 0.4, CELL_SIZE * 0.8, 4),
+  BOOST:  () => new THREE.OctahedronGeometry(CELL_SIZE * 0.42),
+  GHOST:  () => new THREE.SphereGeometry(CELL_SIZE * 0.36, 12, 8),
+  ERASER: () => new THREE.BoxGeometry(CELL_SIZE * 0.55, CELL_SIZE * 0.55, CELL_SIZE * 0.55),
+};
+
+const FLOAT_Y = CELL_SIZE * 0.9;
+
+// Renders one power-up from Simulation.pickups. Owns no game rules.
+export class Pickup {
+  constructor(scene, pickup, gridSize) {
+    this.scene = scene;
+    this.id    = pickup.id;
+    this.phase = pickup.id * 1.7;  // so neighbours don't bob in sync
+
+    const color = PICKUP_COLORS[pickup.kind];
+    this.mesh = new THREE.Mesh(SHAPES[pickup.kind](), new THREE.MeshStandardMaterial({
+      color,
+      emissive:          color,
+      emissiveIntensity: 1.6,
+      transparent:       pickup.kind === 'GHOST',
+      opacity:           pickup.kind === 'GHOST' ? 0.6 : 1,
+    }));
+    const { x, z } = gridToWorld(pickup.gx, pickup.gz, gridSize);
+    this.mesh.position.set(x, FLOAT_Y, z);
+    scene.add(this.mesh);
+  }
+
+  // Spin and bob; called every render frame
+  update(now) {
+    const t = now * 0.003 + this.phase;
+    this.mesh.rotation.y  = t;
+    this.mesh.position.y  = FLOAT_Y + Math.sin(t * 1.3) * CELL_SIZE * 0.15;
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+}
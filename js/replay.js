@@ -0,0 +1,96 @@
+// Round recording and playback. A replay is the seed plus every input the
+// simulation applied; re-running those through a Simulation reproduces the
+// round exactly, so nothing about the render state needs to be stored.
+import { Simulation } from './simulation.js';
+import { parseMap }   from './maps.js';
+
+export const REPLAY_VERSION = 1;
+
+const INPUT_CODES = ['L', 'R', 'J', 'B'];   // Simulation.inputLog actions
+
+// Snapshot a finished (or running) round as a plain JSON-able object
+export function createReplay(sim) {
+  return {
+    format:  'light-bike-replay',
+    version: REPLAY_VERSION,
+    seed:    sim.seed,
+    length:  sim.tick,
+    winner:  sim.winner?.id ?? null,
+    humans:  sim.humans,
+    config:  { ...sim.config },
+    map:     sim.map,
+    bikes:   sim.bikes.map(b => ({
+      id:          b.id,
+      color:       b.color,
+      playerNum:   b.playerNum,
+      personality: sim.bots.find(bot => bot.bike === b)?.personality ?? 'HUMAN',
+      difficulty:  sim.bots.find(bot => bot.bike === b)?.difficulty ?? null,
+    })),
+    inputs:  sim.inputLog.map(e => [...e]),
+  };
+}
+
+// Parse and validate a replay file's text. Throws on anything unusable.
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Replay file is not valid JSON');
+  }
+  if (data?.format !== 'light-bike-replay') {
+    throw new Error('Not a LIGHT BIKE replay');
+  }
+  if (data.version > REPLAY_VERSION) {
+    throw new Error(`Replay version ${data.version} is newer than this game`);
+  }
+  if (!Number.isInteger(data.seed) || !Number.isInteger(data.length)
+      || !Array.isArray(data.inputs) || !Array.isArray(data.bikes)) {
+    throw new Error('Replay file is missing seed, length, bikes or inputs');
+  }
+  // Inputs play back in order, so a bad or out-of-order entry would quietly
+  // replay some other round
+  const ids = new Set(data.bikes.map(b => b?.id));
+  const bad = data.inputs.findIndex((e, i) => !Array.isArray(e) || e.length !== 3
+    || !Number.isInteger(e[0]) || e[0] < 0 || (i > 0 && e[0] < data.inputs[i - 1]?.[0])
+    || !ids.has(e[1]) || !INPUT_CODES.includes(e[2]));
+  if (bad !== -1) throw new Error(`Replay input ${bad + 1} is not a valid [tick, bike, action]`);
+  if (data.map) data.map = parseMap(data.map);
+  // Rounds recorded before power-ups existed had none
+  data.config = { pickups: 0, ...data.config };
+  return data;
+}
+
+// Drives a Simulation from a replay. Seeking re-simulates from tick 0, which
+// is cheap because no bot logic runs during playback.
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.sim    = null;
+    this.seek(0);
+  }
+
+  get tick()   { return this.sim.tick; }
+  get length() { return this.replay.length; }
+  get atEnd()  { return this.sim.over || this.sim.tick >= this.replay.length; }
+
+  // Advance one tick; returns the same result as Simulation.step()
+  step() {
+    if (this.atEnd) return { died: [], kills: [], picked: [], erased: [] };
+    return this.sim.step();
+  }
+
+  // Rebuild the simulation at exactly `tick` (clamped to the replay)
+  seek(tick) {
+    const target = Math.max(0, Math.min(tick, this.replay.length));
+    this.sim = new Simulation();
+    this.sim.start({
+      seed:   this.replay.seed,
+      humans: this.replay.humans ?? 1,
+      config: this.replay.config ?? {},
+      map:    this.replay.map ?? null,
+      inputs: this.replay.inputs,
+    });
+    while (this.sim.tick < target && !this.sim.over) this.sim.step();
+  }
+}
@@ -0,0 +1,42 @@
+// Seedable PRNG — every random choice in a round goes through one of these
+// so the same seed always reproduces the same setup.
+
+// mulberry32: tiny, fast, and good enough for gameplay shuffles
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fresh seed for a round nobody asked to reproduce
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Accepts what a player types: a plain number is used as-is, anything else
+// is hashed (FNV-1a) so words work as seeds too. Empty input → null.
+export function parseSeed(text) {
+  const s = String(text ?? '').trim();
+  if (s === '') return null;
+  if (/^\d+$/.test(s) && Number(s) < 4294967296) return Number(s);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h  = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function shuffle(arr, rng) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
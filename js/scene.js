@@ -2,15 +2,18 @@ import * as THREE from 'three';
 import { EffectComposer }  from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass }      from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { GRID_SIZE, CELL_SIZE } from './constants.js';
+import { GRID_SIZE, CELL_SIZE, gridToWorld } from './constants.js';
+
+const FOG = new THREE.FogExp2(0x000510, 0.006);
 
 export function buildScene(renderer) {
   const scene = new THREE.Scene();
   scene.background = new THREE.Color(0x00000a);
-  scene.fog = new THREE.FogExp2(0x000510, 0.006);
+  scene.fog = FOG;
 
   _addSkybox(scene);
-  _addPlatform(scene);
+  const arena = new Arena(scene);
+  arena.setLayout(GRID_SIZE, []);
   _addLights(scene);
 
   const camera = new THREE.PerspectiveCamera(
@@ -19,27 +22,60 @@ export function buildScene(renderer) {
   camera.position.set(0, 80, 100);
   camera.lookAt(0, 0, 0);
 
-  const composer = _buildComposer(renderer, scene, camera);
+  const composer = buildComposer(renderer, scene, camera);
 
-  return { scene, camera, composer };
+  return { scene, camera, composer, arena };
 }
 
 // ─── Bloom ───────────────────────────────────────────────────────────────────
 
-function _buildComposer(renderer, scene, camera) {
+// Also used for the extra cameras in split-screen
+export function buildComposer(renderer, scene, camera, strength = 1.4) {
   const composer = new EffectComposer(renderer);
   composer.addPass(new RenderPass(scene, camera));
 
   const bloom = new UnrealBloomPass(
     new THREE.Vector2(window.innerWidth, window.innerHeight),
-    1.4,   // strength
+    strength,
     0.6,   // radius
     0.25,  // threshold
   );
   composer.addPass(bloom);
+  setBloom(composer, strength);
   return composer;
 }
 
+// 0 skips the pass altogether
+export function setBloom(composer, strength) {
+  const bloom = composer.passes.find(p => p instanceof UnrealBloomPass);
+  bloom.strength = strength;
+  bloom.enabled  = strength > 0;
+}
+
+// ─── Quality ─────────────────────────────────────────────────────────────────
+
+// Fog and shadows are compiled into the shaders, so switching either makes
+// every material in the scene rebuild
+
+export function setFog(scene, on) {
+  if ((scene.fog !== null) === on) return;
+  scene.fog = on ? FOG : null;
+  _refreshMaterials(scene);
+}
+
+export function setShadows(renderer, scene, on) {
+  if (renderer.shadowMap.enabled === on) return;
+  renderer.shadowMap.enabled = on;
+  _refreshMaterials(scene);
+}
+
+function _refreshMaterials(scene) {
+  scene.traverse(o => {
+    if (!o.material) return;
+    [].concat(o.material).forEach(m => { m.needsUpdate = true; });
+  });
+}
+
 // ─── Skybox ───────────────────────────────────────────────────────────────────
 
 function _addSkybox(scene) {
@@ -84,8 +120,45 @@ function _addSkybox(scene) {
 
 // ─── Platform ────────────────────────────────────────────────────────────────
 
-function _addPlatform(scene) {
-  const size = GRID_SIZE * CELL_SIZE;
+// Floor, grid overlay, border walls and map obstacles for the current match.
+// Rebuilt whenever a match picks a different size or map.
+export class Arena {
+  constructor(scene) {
+    this.scene    = scene;
+    this.gridSize = 0;
+    this.group    = null;
+    this._key     = '';
+  }
+
+  // walls: [gx, gz] obstacle cells from the simulation
+  setLayout(gridSize, walls) {
+    const key = `${gridSize}|${walls.join(';')}`;
+    if (key === this._key) return;
+    this._dispose();
+    this._key     = key;
+    this.gridSize = gridSize;
+    this.group    = _buildPlatform(gridSize);
+    if (walls.length) this.group.add(_buildObstacles(gridSize, walls));
+    this.scene.add(this.group);
+  }
+
+  _dispose() {
+    if (!this.group) return;
+    this.scene.remove(this.group);
+    const mats = new Set();
+    this.group.traverse(o => {
+      if (!o.isMesh) return;
+      o.geometry.dispose();
+      mats.add(o.material);
+    });
+    mats.forEach(m => m.dispose());
+    this.group = null;
+  }
+}
+
+function _buildPlatform(gridSize) {
+  const group = new THREE.Group();
+  const size  = gridSize * CELL_SIZE;
 
   // Dark base
   const base = new THREE.Mesh(
@@ -94,14 +167,14 @@ function _addPlatform(scene) {
   );
   base.rotation.x = -Math.PI / 2;
   base.receiveShadow = true;
-  scene.add(base);
+  group.add(base);
 
   // Grid lines overlay
   const gridMat = new THREE.ShaderMaterial({
     transparent: true,
     depthWrite: false,
     uniforms: {
-      uCells: { value: GRID_SIZE },
+      uCells: { value: gridSize },
     },
     vertexShader: /* glsl */`
       varying vec2 vUv;
@@ -133,7 +206,7 @@ function _addPlatform(scene) {
   const grid = new THREE.Mesh(new THREE.PlaneGeometry(size, size), gridMat);
   grid.rotation.x = -Math.PI / 2;
   grid.position.y = 0.02;
-  scene.add(grid);
+  group.add(grid);
 
   // Border walls (visual neon edge)
   const wallMat = new THREE.MeshStandardMaterial({
@@ -155,8 +228,33 @@ function _addPlatform(scene) {
   for (const [w, d, x, z] of walls) {
     const m = new THREE.Mesh(new THREE.BoxGeometry(w, wh, d), wallMat);
     m.position.set(x, wh / 2, z);
-    scene.add(m);
+    group.add(m);
   }
+  return group;
+}
+
+// Neon blocks, one instance per wall cell. Taller than a jump arc reads,
+// since walls stop bikes even in the air.
+function _buildObstacles(gridSize, walls) {
+  const h   = CELL_SIZE * 2.5;
+  const geo = new THREE.BoxGeometry(CELL_SIZE * 0.94, h, CELL_SIZE * 0.94);
+  const mat = new THREE.MeshStandardMaterial({
+    color:             0x2266ff,
+    emissive:          0x1144dd,
+    emissiveIntensity: 0.9,
+    metalness:         0.4,
+    roughness:         0.35,
+  });
+  const blocks = new THREE.InstancedMesh(geo, mat, walls.length);
+  const m = new THREE.Matrix4();
+  walls.forEach(([gx, gz], i) => {
+    const { x, z } = gridToWorld(gx, gz, gridSize);
+    blocks.setMatrixAt(i, m.makeTranslation(x, h / 2, z));
+  });
+  blocks.instanceMatrix.needsUpdate = true;
+  blocks.castShadow    = true;
+  blocks.receiveShadow = true;
+  return blocks;
 }
 
 // ─── Lights ───────────────────────────────────────────────────────────────────
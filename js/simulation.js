@@ -0,0 +1,507 @@
+// Pure game rules — no THREE, no DOM. Safe to import from Node.
+import {
+  DIR_VECTOR, TURN_LEFT, TURN_RIGHT, JUMP_TICKS, MAX_JUMPS, DEREZ_TICKS, WALL,
+  PICKUP_KINDS, PICKUP_EVERY, BOOST_TICKS, GHOST_TICKS,
+  SUB_TICKS, BASE_SPEED, BOOST_SPEED, BOOST_METER, BOOST_DRAIN, BOOST_RECHARGE,
+} from './constants.js';
+import { Bot, PERSONALITIES } from './bot.js';
+import { createRng, randomSeed, shuffle } from './rng.js';
+import { normalizeConfig } from './config.js';
+import { spawnLayout, botColors, humanColor } from './arena.js';
+import { mapCells } from './maps.js';
+
+// ─── Bike state ──────────────────────────────────────────────────────────────
+
+export class BikeState {
+  constructor(id, color, gx, gz, dir, playerNum = null) {
+    this.id     = id;
+    this.color  = color;
+    this.playerNum = playerNum;    // 1 or 2 for local humans, null for bots
+    this.gx     = gx;
+    this.gz     = gz;
+    this.dir    = dir;
+    this.alive  = true;
+
+    this.pendingTurn = null; // 'LEFT' | 'RIGHT'
+
+    // Grid cells this bike has claimed, in the order they were laid
+    this.trail = [];
+    this.derezTicks = 0;           // > 0 = crashed, trail still blocking while it dissolves
+
+    // Jump state
+    this.jumpCount     = 0;
+    this.maxJumps      = MAX_JUMPS;
+    this.jumpTicksLeft = 0;        // 0 = on the ground
+    this._jumped       = false;    // set by jump(), consumed by the input log
+
+    // Speed, in cells per tick
+    this.speed         = BASE_SPEED;
+    this.boostMeter    = BOOST_METER;
+    this.boostOn       = false;    // player/bot boost, drains the meter
+    this._toggles      = 0;        // counted by toggleBoost(), consumed by the input log
+    this._progress     = 0;        // sub-tick movement banked towards the next cell
+
+    // Power-up timers, in ticks
+    this.boostTicks    = 0;        // > 0 = free boost from a pickup
+    this.ghostTicks    = 0;        // > 0 = rides through trails
+  }
+
+  get boosting() {
+    return this.boostTicks > 0 || this.boostOn;
+  }
+
+  get currentSpeed() {
+    return this.boosting ? BOOST_SPEED : this.speed;
+  }
+
+  queueTurn(side) {
+    if (this.alive) this.pendingTurn = side;
+  }
+
+  isJumping() {
+    return this.jumpTicksLeft > 0;
+  }
+
+  jump() {
+    if (!this.alive || this.jumpCount >= this.maxJumps || this.isJumping()) return;
+    this.jumpCount++;
+    this.jumpTicksLeft = JUMP_TICKS;
+    this._jumped       = true;
+  }
+
+  // One player action: 'LEFT' | 'RIGHT' | 'JUMP' | 'BOOST'
+  control(action) {
+    switch (action) {
+      case 'JUMP':  this.jump();        break;
+      case 'BOOST': this.toggleBoost(); break;
+      default:      this.queueTurn(action);
+    }
+  }
+
+  // Boost on / off. Turning it on needs something in the meter.
+  toggleBoost() {
+    if (!this.alive || (!this.boostOn && this.boostMeter <= 0)) return;
+    this.boostOn  = !this.boostOn;
+    this._toggles++;
+  }
+
+  // 0 → 1 over the airborne ticks; `alpha` is progress into the current tick
+  jumpProgress(alpha = 0) {
+    if (!this.isJumping()) return 0;
+    return Math.min(1, (JUMP_TICKS - this.jumpTicksLeft + alpha) / JUMP_TICKS);
+  }
+
+  // Move one cell: apply any pending turn, then advance. Airtime counts
+  // down per tick, not per cell, so boosting doesn't shorten a jump.
+  // Grid bookkeeping is the Simulation's job, not the bike's.
+  advance() {
+    if (this.pendingTurn) {
+      this.dir = this.pendingTurn === 'LEFT'
+        ? TURN_LEFT[this.dir] : TURN_RIGHT[this.dir];
+      this.pendingTurn = null;
+    }
+    const v = DIR_VECTOR[this.dir];
+    this.gx += v.x;
+    this.gz += v.z;
+  }
+
+  // Peek at the next grid cell without moving (accounts for pending turn)
+  peekNext() {
+    const dir = this.pendingTurn
+      ? (this.pendingTurn === 'LEFT' ? TURN_LEFT[this.dir] : TURN_RIGHT[this.dir])
+      : this.dir;
+    const v = DIR_VECTOR[dir];
+    return { gx: this.gx + v.x, gz: this.gz + v.z };
+  }
+}
+
+// ─── Simulation ──────────────────────────────────────────────────────────────
+
+export class Simulation {
+  constructor() {
+    this.bikes   = [];
+    this.bots    = [];
+    this.grid    = [];
+    this.tick    = 0;
+    this.over    = false;
+    this.winner  = null;
+    this.seed    = 0;
+    this.rng     = null;
+    this.botRng  = null;
+    this.humans  = 1;
+    this.config  = normalizeConfig();
+    this.map     = null;           // maps.js map, or null for the open arena
+    this.walls   = [];             // [gx, gz] obstacle cells
+    this.pickups = new Map();      // gz * gridSize + gx → { id, kind, gx, gz }
+    this._pickupId = 0;
+
+    // Every input applied, as [tick, bikeId, 'L' | 'R' | 'J' | 'B']
+    this.inputLog = [];
+    this._script  = null;          // recorded inputs to play back instead of live ones
+    this._scriptPos = 0;
+
+    // Wall-clock ms searching bots may share per tick, or null for none. Only
+    // the browser sets it (bot.js SEARCH_BUDGET_MS); see there for why.
+    this.searchBudgetMs = null;
+  }
+
+  // The first `humans` slots are human players; `config.bots` more follow.
+  // A `map` (already validated by parseMap) fixes the arena size, spawns and
+  // walls, and caps the bot count at its free spawns.
+  // The same seed always produces the same round. Passing a recorded
+  // `inputs` log replays it: bots stay silent and only the log steers.
+  start({ seed = randomSeed(), humans = 1, config = {}, map = null, inputs = null } = {}) {
+    this.seed   = seed >>> 0;
+    this.humans = humans;
+    this.map    = map;
+    this.config = normalizeConfig(config);
+    if (map) {
+      this.config.gridSize = map.size;
+      this.config.bots     = Math.max(0, Math.min(this.config.bots, map.spawns.length - humans));
+    }
+    this.rng    = createRng(this.seed);
+    this.botRng = createRng(this.seed ^ 0x5bd1e995);   // bot mistakes only
+    this.inputLog   = [];
+    this._script    = inputs;
+    this._scriptPos = 0;
+    this.tick   = 0;
+    this.over   = false;
+    this.winner = null;
+    this.pickups   = new Map();
+    this._pickupId = 0;
+    this._buildGrid();
+    this._spawnBikes();
+    this._prepareBots();
+  }
+
+  // Advance one grid tick. Returns what happened:
+  //   died   — ids of bikes that crashed
+  //   kills  — { bikeId, by } for each of them: `by` is the bike whose trail
+  //            (or body) it hit — its own id for its own trail — or null
+  //            for a wall or the arena edge
+  //   picked — { bikeId, kind } for every power-up collected
+  //   erased — ids of bikes whose trail lost a segment to an ERASER
+  step() {
+    const events = { died: [], kills: [], picked: [], erased: [] };
+    if (this.over) return events;
+
+    if (this._script) {
+      this._applyScript();
+    } else {
+      // Bots decide turns; searching bots split the tick's safety-net time
+      const live     = this.bots.filter(bot => bot.bike.alive);
+      const thinkers = live.filter(bot => bot.personality === 'STRATEGIST').length;
+      const budgetMs = (this.searchBudgetMs ?? Infinity) / Math.max(1, thinkers);
+      live.forEach(bot => {
+        bot.decide(this.grid, this._nearestHuman(bot.bike), this.pickups, this.bikes, budgetMs, this.tick);
+      });
+    }
+    this._recordInputs();
+
+    // Each sub-tick every bike banks its speed and moves a cell once it has
+    // banked a whole one. At equal speeds everyone moves together on the
+    // last sub-tick; faster bikes get extra moves in between, each checked
+    // against where everyone else is at that moment.
+    const speeds = new Map(this.bikes.map(b => [b.id, b.currentSpeed]));
+    for (let sub = 0; sub < SUB_TICKS; sub++) {
+      const movers = [];
+      for (const bike of this.bikes) {
+        if (!bike.alive) continue;
+        bike._progress += speeds.get(bike.id);
+        if (bike._progress >= SUB_TICKS) {
+          bike._progress -= SUB_TICKS;
+          movers.push(bike);
+        }
+      }
+      if (movers.length) this._move(movers, events);
+    }
+
+    for (const bike of this.bikes) {
+      if (bike.derezTicks > 0 && --bike.derezTicks === 0) this._freeTrail(bike);
+      if (bike.jumpTicksLeft > 0) bike.jumpTicksLeft--;
+      if (bike.boostTicks > 0) bike.boostTicks--;
+      if (bike.ghostTicks > 0) bike.ghostTicks--;
+      if (bike.boostOn) {
+        bike.boostMeter = Math.max(0, bike.boostMeter - BOOST_DRAIN);
+        if (bike.boostMeter === 0) bike.boostOn = false;
+      } else {
+        bike.boostMeter = Math.min(BOOST_METER, bike.boostMeter + BOOST_RECHARGE);
+      }
+    }
+
+    this.tick++;
+    if (this.tick % PICKUP_EVERY === 0) this._spawnPickup();
+
+    // Win check
+    const alive = this.bikes.filter(b => b.alive);
+    if (alive.length <= 1) {
+      this.over   = true;
+      this.winner = alive[0] ?? null;
+    }
+    this._prepareBots();
+
+    return events;
+  }
+
+  // Release anything bots hold on to (custom bot workers). Safe to call twice.
+  dispose() {
+    this.bots.forEach(bot => bot.dispose());
+  }
+
+  get gridSize() {
+    return this.config.gridSize;
+  }
+
+  // Human-controlled bikes, player 1 first
+  get humanBikes() {
+    return this.bikes.slice(0, this.humans);
+  }
+
+  // ─── Private ──────────────────────────────────────────────────────────────
+
+  // Move `movers` one cell each. A grounded bike's current cell is about to
+  // become trail (or is the bike itself, if it's parked this sub-tick), so
+  // riding into it crashes — that covers tailgating and two bikes swapping
+  // cells, which would otherwise pass straight through each other.
+  _move(movers, events) {
+    const dying     = new Map();   // id → id of the bike it hit, or null
+    const nextCells = new Map();
+    const occupied  = new Map(this.bikes
+      .filter(b => b.alive && !b.isJumping())
+      .map(b => [`${b.gx},${b.gz}`, b.id]));
+
+    for (const bike of movers) {
+      const next = bike.peekNext();
+      nextCells.set(bike.id, next);
+
+      const oob = next.gx < 0 || next.gx >= this.gridSize
+               || next.gz < 0 || next.gz >= this.gridSize;
+
+      if (oob || this.grid[next.gz][next.gx] === WALL) {
+        // Out-of-bounds and map walls kill even while jumping
+        dying.set(bike.id, null);
+      } else if (!bike.isJumping() && bike.ghostTicks === 0
+          && (this.grid[next.gz][next.gx] !== null || occupied.has(`${next.gx},${next.gz}`))) {
+        // Trail collision — only applies when on the ground, and not to ghosts
+        dying.set(bike.id, this.grid[next.gz][next.gx] ?? occupied.get(`${next.gx},${next.gz}`));
+      }
+    }
+
+    // Head-on: two bikes moving into the same cell → both die
+    const seen = new Map();
+    for (const [id, cell] of nextCells) {
+      if (dying.has(id)) continue;
+      const k = `${cell.gx},${cell.gz}`;
+      if (seen.has(k)) {
+        dying.set(id, seen.get(k));
+        dying.set(seen.get(k), id);
+      } else {
+        seen.set(k, id);
+      }
+    }
+
+    // Kill losers; their trails stay put until they've dissolved
+    movers.forEach(b => {
+      if (dying.has(b.id)) this._kill(b);
+    });
+    for (const [bikeId, by] of dying) {
+      events.died.push(bikeId);
+      events.kills.push({ bikeId, by });
+    }
+
+    // Step survivors: mark current cell (only if on the ground) then advance.
+    // A ghost leaves no mark on cells another trail already owns.
+    for (const bike of movers) {
+      if (!bike.alive) continue;
+      if (!bike.isJumping() && (bike.ghostTicks === 0 || this.grid[bike.gz][bike.gx] === null)) {
+        this._claim(bike, bike.gx, bike.gz);
+      }
+      bike.advance();
+      this._collect(bike, events);
+    }
+  }
+
+  _buildGrid() {
+    const n = this.gridSize;
+    this.grid  = Array.from({ length: n }, () => new Array(n).fill(null));
+    this.walls = this.map ? mapCells(this.map) : [];
+    this.walls.forEach(([gx, gz]) => { this.grid[gz][gx] = WALL; });
+  }
+
+  // Hand bots still riding the state for the coming tick; bots that are out
+  // let go of their resources
+  _prepareBots() {
+    if (this._script) return;
+    for (const bot of this.bots) {
+      if (bot.bike.alive && !this.over) bot.prepare(this.grid, this.bikes, this.tick);
+      else                              bot.dispose();
+    }
+  }
+
+  _spawnBikes() {
+    this.bikes = [];
+    this.bots  = [];
+
+    const { bots, gridSize, jumps, opponents, colors: fixedColors } = this.config;
+
+    // Deal personalities from shuffled decks so every one appears before any
+    // repeats, then let the player's picks replace the random ones
+    const personalities = [];
+    while (personalities.length < bots) personalities.push(...shuffle(PERSONALITIES, this.rng));
+    opponents.slice(0, bots).forEach(({ personality }, i) => {
+      if (personality !== 'RANDOM') personalities[i] = personality;
+    });
+    const colors = shuffle(botColors(bots), this.rng).map((c, i) => fixedColors[i] ?? c);
+
+    const spawns = this.map
+      ? this.map.spawns.slice(0, this.humans + bots)
+      : spawnLayout(this.humans + bots, gridSize);
+
+    spawns.forEach(([gx, gz, dir], i) => {
+      const human = i < this.humans;
+      const color = human ? humanColor(i + 1) : colors[i - this.humans];
+      const bike  = new BikeState(i + 1, color, gx, gz, dir, human ? i + 1 : null);
+      bike.maxJumps = jumps;
+      this.bikes.push(bike);
+
+      // Pre-mark starting cell
+      this._claim(bike, gx, gz);
+
+      if (!human) {
+        const seat = i - this.humans;
+        const difficulty = opponents[seat]?.difficulty ?? 'NORMAL';
+        this.bots.push(new Bot(bike, personalities[seat], difficulty, this.botRng));
+      }
+    });
+  }
+
+  // The rider a bot hunts — the closest human still alive (the closest other
+  // rider in an all-bot round), else player 1
+  _nearestHuman(bike) {
+    let best = null, bestDist = Infinity;
+    for (const h of this.humans > 0 ? this.humanBikes : this.bikes) {
+      if (!h.alive || h === bike) continue;
+      const d = Math.abs(h.gx - bike.gx) + Math.abs(h.gz - bike.gz);
+      if (d < bestDist) { best = h; bestDist = d; }
+    }
+    return best ?? this.bikes[0];
+  }
+
+  // ─── Power-ups ────────────────────────────────────────────────────────────
+
+  // Drop one power-up on a random empty cell away from every rider
+  _spawnPickup() {
+    if (this.pickups.size >= this.config.pickups) return;
+    const n    = this.gridSize;
+    const live = this.bikes.filter(b => b.alive);
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const gx = Math.floor(this.rng() * n);
+      const gz = Math.floor(this.rng() * n);
+      const k  = gz * n + gx;
+      if (this.grid[gz][gx] !== null || this.pickups.has(k)) continue;
+      if (live.some(b => Math.abs(b.gx - gx) + Math.abs(b.gz - gz) < 4)) continue;
+      const kind = PICKUP_KINDS[Math.floor(this.rng() * PICKUP_KINDS.length)];
+      this.pickups.set(k, { id: ++this._pickupId, kind, gx, gz });
+      return;
+    }
+  }
+
+  // Riding over a power-up on the ground collects it; jumps fly over
+  _collect(bike, events) {
+    if (bike.isJumping()) return;
+    const k = bike.gz * this.gridSize + bike.gx;
+    const pickup = this.pickups.get(k);
+    if (!pickup) return;
+    this.pickups.delete(k);
+    events.picked.push({ bikeId: bike.id, kind: pickup.kind });
+
+    switch (pickup.kind) {
+      case 'JUMP':  bike.maxJumps++;               break;
+      case 'BOOST': bike.boostTicks = BOOST_TICKS; bike.boostMeter = BOOST_METER; break;
+      case 'GHOST': bike.ghostTicks = GHOST_TICKS; break;
+      case 'ERASER': {
+        const id = this._eraseNearestSegment(bike);
+        if (id !== null) events.erased.push(id);
+        break;
+      }
+    }
+  }
+
+  // Delete the straight run of enemy trail closest to `bike`.
+  // Returns the owner's id, or null if no enemy has any trail.
+  _eraseNearestSegment(bike) {
+    let owner = null, index = -1, bestDist = Infinity;
+    for (const other of this.bikes) {
+      if (other === bike || !other.alive) continue;
+      other.trail.forEach(({ gx, gz }, i) => {
+        const d = Math.abs(gx - bike.gx) + Math.abs(gz - bike.gz);
+        if (d < bestDist) { owner = other; index = i; bestDist = d; }
+      });
+    }
+    if (!owner) return null;
+
+    // Axis of the step between two trail cells, or null across a gap
+    const t    = owner.trail;
+    const axis = (a, b) => {
+      if (!a || !b || Math.abs(a.gx - b.gx) + Math.abs(a.gz - b.gz) !== 1) return null;
+      return a.gx === b.gx ? 'z' : 'x';
+    };
+    const along = axis(t[index], t[index + 1]) ?? axis(t[index - 1], t[index]);
+    let lo = index, hi = index;
+    if (along) {
+      while (lo > 0 && axis(t[lo - 1], t[lo]) === along) lo--;
+      while (hi < t.length - 1 && axis(t[hi], t[hi + 1]) === along) hi++;
+    }
+    t.splice(lo, hi - lo + 1).forEach(({ gx, gz }) => {
+      if (this.grid[gz][gx] === owner.id) this.grid[gz][gx] = null;
+    });
+    return owner.id;
+  }
+
+  _applyScript() {
+    const script = this._script;
+    while (this._scriptPos < script.length && script[this._scriptPos][0] <= this.tick) {
+      const [t, id, code] = script[this._scriptPos++];
+      const bike = this.bikes[id - 1];
+      if (t < this.tick || !bike) continue;
+      if (code === 'J')      bike.jump();
+      else if (code === 'B') bike.toggleBoost();
+      else                   bike.queueTurn(code === 'L' ? 'LEFT' : 'RIGHT');
+    }
+  }
+
+  _recordInputs() {
+    for (const bike of this.bikes) {
+      if (!bike.alive) continue;
+      if (bike._jumped) {
+        this.inputLog.push([this.tick, bike.id, 'J']);
+        bike._jumped = false;
+      }
+      // One entry per toggle: two in a tick cancel out, and so must the replay
+      for (; bike._toggles > 0; bike._toggles--) this.inputLog.push([this.tick, bike.id, 'B']);
+      if (bike.pendingTurn) {
+        this.inputLog.push([this.tick, bike.id, bike.pendingTurn === 'LEFT' ? 'L' : 'R']);
+      }
+    }
+  }
+
+  _claim(bike, gx, gz) {
+    this.grid[gz][gx] = bike.id;
+    if (bike.trail.at(-1)?.gx === gx && bike.trail.at(-1)?.gz === gz) return;
+    bike.trail.push({ gx, gz });
+  }
+
+  _kill(bike) {
+    bike.alive       = false;
+    bike.pendingTurn = null;
+    bike.derezTicks  = DEREZ_TICKS;
+  }
+
+  // A crashed bike's trail has finished dissolving: its cells are free again
+  _freeTrail(bike) {
+    bike.trail.forEach(({ gx, gz }) => {
+      if (this.grid[gz]?.[gx] === bike.id) this.grid[gz][gx] = null;
+    });
+    bike.trail = [];
+  }
+}
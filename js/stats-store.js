@@ -0,0 +1,112 @@
+// Player statistics and the local leaderboard, saved in localStorage so they
+// survive a reload. Only single-player rounds count: with two people on one
+// keyboard there's no telling whose profile a round belongs to.
+const KEY     = 'lightbike.stats';
+const FORMAT  = 'light-bike-stats';
+const VERSION = 1;
+const TOP     = 10;                    // leaderboard entries kept per board
+
+export function emptyStats() {
+  return {
+    rounds:     0,
+    wins:       0,
+    draws:      0,
+    survivalMs: 0,                     // summed, for the average
+    longestMs:  0,
+    jumps:      0,
+    kills:      0,
+    vs:         {},                    // personality → { rounds, wins }
+    survival:   [],                    // top TOP { ms, kills, won, seed, map, date }
+    matches:    [],                    // top TOP { points, rounds, format, won, date }
+  };
+}
+
+// The saved profile, or a fresh one if nothing (valid) is stored
+export function loadStats() {
+  try {
+    return checkStats(JSON.parse(localStorage.getItem(KEY) ?? 'null'));
+  } catch {
+    return emptyStats();
+  }
+}
+
+function saveStats(stats) {
+  localStorage.setItem(KEY, JSON.stringify(stats));
+}
+
+// Fill in anything missing and drop anything malformed; throws if `data`
+// isn't a stats object at all
+function checkStats(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Not a LIGHT BIKE stats profile');
+  }
+  const stats = emptyStats();
+  for (const key of ['rounds', 'wins', 'draws', 'survivalMs', 'longestMs', 'jumps', 'kills']) {
+    if (Number.isFinite(data[key]) && data[key] >= 0) stats[key] = data[key];
+  }
+  for (const [name, r] of Object.entries(data.vs ?? {})) {
+    if (Number.isInteger(r?.rounds) && Number.isInteger(r?.wins)) stats.vs[name] = { rounds: r.rounds, wins: r.wins };
+  }
+  if (Array.isArray(data.survival)) stats.survival = data.survival.filter(e => Number.isFinite(e?.ms)).slice(0, TOP);
+  if (Array.isArray(data.matches))  stats.matches  = data.matches.filter(e => Number.isFinite(e?.points)).slice(0, TOP);
+  return stats;
+}
+
+// Insert `entry` into a best-first board, keeping the top TOP
+function rank(board, entry, key) {
+  board.push(entry);
+  board.sort((a, b) => b[key] - a[key]);
+  board.length = Math.min(board.length, TOP);
+}
+
+// One finished round for the local player.
+// round: { won, draw, survivedMs, jumps, kills, opponents: [personality], seed, map }
+export function recordRound({ won, draw, survivedMs, jumps, kills, opponents, seed, map }) {
+  const stats = loadStats();
+  stats.rounds++;
+  if (won)  stats.wins++;
+  if (draw) stats.draws++;
+  stats.survivalMs += survivedMs;
+  stats.longestMs   = Math.max(stats.longestMs, survivedMs);
+  stats.jumps      += jumps;
+  stats.kills      += kills;
+  for (const name of new Set(opponents)) {
+    const vs = stats.vs[name] ??= { rounds: 0, wins: 0 };
+    vs.rounds++;
+    if (won) vs.wins++;
+  }
+  rank(stats.survival, { ms: survivedMs, kills, won, seed, map, date: Date.now() }, 'ms');
+  saveStats(stats);
+}
+
+// A finished multi-round match. match: { points, rounds, format, won }
+export function recordMatch({ points, rounds, format, won }) {
+  const stats = loadStats();
+  rank(stats.matches, { points, rounds, format, won, date: Date.now() }, 'points');
+  saveStats(stats);
+}
+
+// A file's worth of profile, for moving it to another machine
+export function exportStats() {
+  return { format: FORMAT, version: VERSION, stats: loadStats() };
+}
+
+// Replace the saved profile with an exported one; throws with a readable
+// message if the file isn't one
+export function importStats(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Stats file is not valid JSON');
+  }
+  if (data?.format !== FORMAT) throw new Error('Not a LIGHT BIKE stats file');
+  if (data.version > VERSION) throw new Error(`Stats version ${data.version} is newer than this game`);
+  const stats = checkStats(data.stats);
+  saveStats(stats);
+  return stats;
+}
+
+export function resetStats() {
+  localStorage.removeItem(KEY);
+}
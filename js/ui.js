@@ -1,52 +1,803 @@
-import { PLAYER_COLOR } from './constants.js';
+import { parseSeed }   from './rng.js';
+import { parseReplay } from './replay.js';
+import { defaultServerUrl } from './net.js';
+import { DEFAULT_CONFIG, CONFIG_LIMITS, ARENA_SIZES } from './config.js';
+import { BUILTIN_MAPS, parseMap } from './maps.js';
+import { loadSavedMaps } from './map-store.js';
+import { PERSONALITIES, DIFFICULTY_LEVELS, customBots } from './bot.js';
+import { loadBotModule } from './bot-loader.js';
+import { MATCH_FORMATS } from './match.js';
+import { loadStats, exportStats, importStats } from './stats-store.js';
+import {
+  GRAPHICS_PRESETS, RESOLUTION_SCALES, BLOOM_MAX, loadGraphics, matchingPreset,
+} from './graphics.js';
+
+const EDITOR_TOOLS = [
+  { tool: 'WALL',  label: 'WALL',  key: 1 },
+  { tool: 'ERASE', label: 'ERASE', key: 2 },
+  { tool: 'SPAWN', label: 'SPAWN', key: 3 },
+];
+
+const TICK_SPEEDS = [
+  { label: 'SLOW',   tickMs: 100 },
+  { label: 'NORMAL', tickMs: DEFAULT_CONFIG.tickMs },
+  { label: 'FAST',   tickMs: 55 },
+  { label: 'INSANE', tickMs: 40 },
+];
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function hexColor(color) {
+  return '#' + color.toString(16).padStart(6, '0');
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function shortDate(time) {
+  return new Date(time).toLocaleDateString();
+}
 
 export class UI {
   constructor() {
-    this._root = document.getElementById('ui');
+    this._root      = document.getElementById('ui');
+    this._replayBar = document.getElementById('replay-bar');
+    this._editor    = document.getElementById('editor-panel');
+    this._config    = { ...DEFAULT_CONFIG, opponents: [] };   // last match settings chosen
+    this._mapId     = 'open';
+    this._matchId   = 'single';
   }
 
-  showStartScreen(onStart) {
+  // handlers:
+  //   onStart({ seed, humans, config, map, match }) — seed is null unless the
+  //                             player typed one; match is null for one round
+  //   onReplay(replay)          — a replay file was loaded and validated
+  //   onOnline(url, name, { config, map }) — join a multiplayer server; the
+  //                             settings are used if this client starts the match
+  //   onEditor()                — open the map editor
+  //   onGraphics(settings)      — graphics settings changed; apply and save them
+  showStartScreen(handlers) {
+    const { onStart, onReplay, onOnline, onEditor, onGraphics } = handlers;
     this._render(`
       <div class="screen">
         <h1>LIGHT BIKE</h1>
         <p class="subtitle">Survive the grid</p>
-        <button class="btn" id="btn-start">ENTER GRID</button>
+        <div class="option-row" id="mode-row">
+          <button class="option selected" data-humans="1">1 PLAYER</button>
+          <button class="option" data-humans="2">2 PLAYERS</button>
+        </div>
+        ${this._configForm()}
+        <input class="seed-input" id="seed-input" placeholder="SEED (OPTIONAL)" spellcheck="false">
+        <div class="btn-row">
+          <button class="btn" id="btn-start">ENTER GRID</button>
+          <button class="btn" id="btn-online">ONLINE</button>
+        </div>
+        <div class="btn-row btn-row-minor">
+          <label class="btn btn-minor" for="replay-file">LOAD REPLAY</label>
+          <button class="btn btn-minor" id="btn-opponents">OPPONENTS</button>
+          <button class="btn btn-minor" id="btn-editor">MAP EDITOR</button>
+          <button class="btn btn-minor" id="btn-stats">STATS</button>
+          <button class="btn btn-minor" id="btn-graphics">GRAPHICS</button>
+        </div>
+        <input type="file" id="replay-file" accept=".json,application/json" hidden>
+        <p class="error-label" id="replay-error"></p>
+        <div class="bot-load">
+          <input class="seed-input" id="bot-url" placeholder="CUSTOM BOT URL" spellcheck="false">
+          <button class="btn btn-minor" id="btn-bot-url">LOAD BOT</button>
+          <label class="btn btn-minor" for="bot-file">BOT FILE</label>
+        </div>
+        <input type="file" id="bot-file" accept=".js,.mjs,text/javascript" hidden>
+        <p class="error-label" id="bot-status"></p>
       </div>
     `);
+    let humans = 1;
+    this._bindOptions('mode-row', el => { humans = Number(el.dataset.humans); });
+    this._bindConfigForm();
+    this._bindBotLoader();
+
     document.getElementById('btn-start').addEventListener('click', () => {
+      const seed = parseSeed(document.getElementById('seed-input').value);
+      this.clear();
+      const config = { ...this._config, opponents: this._config.opponents.slice(0, this._config.bots) };
+      const match  = MATCH_FORMATS.find(f => f.id === this._matchId).match;
+      onStart({ seed, humans, config, map: this._selectedMap(), match });
+    });
+    document.getElementById('btn-online').addEventListener('click', () => {
+      this.showOnlineScreen({
+        onConnect: (url, name) => {
+          this.clear();
+          const config = { ...this._config, opponents: this._config.opponents.slice(0, this._config.bots) };
+          onOnline(url, name, { config, map: this._selectedMap() });
+        },
+        onBack:    () => this.showStartScreen(handlers),
+      });
+    });
+    document.getElementById('btn-opponents').addEventListener('click', () => {
+      this.showOpponents({ onBack: () => this.showStartScreen(handlers) });
+    });
+    document.getElementById('btn-editor').addEventListener('click', () => {
+      this.clear();
+      onEditor();
+    });
+    document.getElementById('btn-stats').addEventListener('click', () => {
+      this.showStats({ onBack: () => this.showStartScreen(handlers) });
+    });
+    document.getElementById('btn-graphics').addEventListener('click', () => {
+      this.showGraphics(loadGraphics(), { onChange: onGraphics, onBack: () => this.showStartScreen(handlers) });
+    });
+    document.getElementById('replay-file').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      try {
+        const replay = parseReplay(await file.text());
+        this.clear();
+        onReplay(replay);
+      } catch (err) {
+        document.getElementById('replay-error').textContent = err.message;
+      }
+    });
+  }
+
+  // One row per bot (following the BOTS setting): personality + difficulty
+  showOpponents({ onBack }) {
+    const c = this._config;
+    const select = (i, key, values, value) => `
+      <select data-i="${i}" data-key="${key}">
+        ${values.map(v => `<option value="${escapeHtml(v)}" ${v === value ? 'selected' : ''}>${escapeHtml(v)}</option>`).join('')}
+      </select>`;
+    const rows = Array.from({ length: c.bots }, (_, i) => {
+      const o = this._opponent(i);
+      return `<label>BOT ${i + 1}</label>
+        ${select(i, 'personality', ['RANDOM', ...PERSONALITIES, ...customBots()], o.personality)}
+        ${select(i, 'difficulty', DIFFICULTY_LEVELS, o.difficulty)}`;
+    }).join('');
+    const levels = DIFFICULTY_LEVELS.map(d =>
+      `<button class="option" data-level="${d}">ALL ${d}</button>`).join('');
+    const { min, max } = CONFIG_LIMITS.bots;
+
+    this._render(`
+      <div class="screen">
+        <h2>OPPONENTS</h2>
+        <p class="subtitle">${c.bots} bot${c.bots === 1 ? '' : 's'}</p>
+        <div class="config-form opponents-form">${rows}</div>
+        <div class="option-row" id="level-row">${levels}</div>
+        <div class="btn-row">
+          <button class="btn" id="btn-bot-add" ${c.bots >= max ? 'disabled' : ''}>+ BOT</button>
+          <button class="btn" id="btn-bot-remove" ${c.bots <= min ? 'disabled' : ''}>− BOT</button>
+          <button class="btn" id="btn-back">DONE</button>
+        </div>
+      </div>
+    `);
+    const again = () => this.showOpponents({ onBack });
+    this._root.querySelectorAll('.opponents-form select').forEach(el => {
+      el.addEventListener('change', () => this._setOpponent(Number(el.dataset.i), el.dataset.key, el.value));
+    });
+    this._root.querySelectorAll('#level-row .option').forEach(el => {
+      el.addEventListener('click', () => {
+        for (let i = 0; i < c.bots; i++) this._setOpponent(i, 'difficulty', el.dataset.level);
+        again();
+      });
+    });
+    document.getElementById('btn-bot-add').addEventListener('click', () => { c.bots++; again(); });
+    document.getElementById('btn-bot-remove').addEventListener('click', () => { c.bots--; again(); });
+    document.getElementById('btn-back').addEventListener('click', onBack);
+  }
+
+  // Saved single-player stats, the two leaderboards and profile export/import
+  showStats({ onBack }) {
+    const s = loadStats();
+    const cell = (label, value) => `<div class="stat"><span>${value}</span><label>${label}</label></div>`;
+    const vs = Object.entries(s.vs).map(([name, r]) => `
+      <tr><td class="sb-name">${escapeHtml(name)}</td><td>${r.rounds}</td><td>${r.wins}</td>
+        <td>${Math.round(r.wins / Math.max(1, r.rounds) * 100)}%</td></tr>`).join('');
+    const survival = s.survival.map((e, i) => `
+      <tr><td class="sb-rank">${i + 1}</td><td class="sb-points">${seconds(e.ms)}</td><td>${e.kills}</td>
+        <td>${escapeHtml(String(e.map ?? '').toUpperCase())}</td><td>${shortDate(e.date)}</td></tr>`).join('');
+    const matches = s.matches.map((e, i) => `
+      <tr><td class="sb-rank">${i + 1}</td><td class="sb-points">${e.points}</td>
+        <td>${escapeHtml(String(e.format ?? ''))}</td><td>${e.won ? 'WON' : '—'}</td><td>${shortDate(e.date)}</td></tr>`).join('');
+    const empty = cols => `<tr><td colspan="${cols}" class="sb-empty">NO ENTRIES YET</td></tr>`;
+
+    this._render(`
+      <div class="screen stats-screen">
+        <h2>STATS</h2>
+        <p class="subtitle">Single-player rounds on this machine</p>
+        <div class="stat-grid">
+          ${cell('ROUNDS', s.rounds)}
+          ${cell('WINS', s.wins)}
+          ${cell('AVG SURVIVAL', seconds(s.survivalMs / Math.max(1, s.rounds)))}
+          ${cell('LONGEST', seconds(s.longestMs))}
+          ${cell('JUMPS', s.jumps)}
+          ${cell('KILLS', s.kills)}
+        </div>
+        <table class="scoreboard">
+          <tr><th>VS</th><th>ROUNDS</th><th>WINS</th><th>RATE</th></tr>
+          ${vs || empty(4)}
+        </table>
+        <div class="stat-boards">
+          <table class="scoreboard">
+            <tr><th></th><th>SURVIVAL</th><th>KILLS</th><th>MAP</th><th>DATE</th></tr>
+            ${survival || empty(5)}
+          </table>
+          <table class="scoreboard">
+            <tr><th></th><th>MATCH PTS</th><th>FORMAT</th><th></th><th>DATE</th></tr>
+            ${matches || empty(5)}
+          </table>
+        </div>
+        <div class="btn-row">
+          <button class="btn" id="btn-back">BACK</button>
+        </div>
+        <div class="btn-row btn-row-minor">
+          <button class="btn btn-minor" id="btn-stats-export">EXPORT</button>
+          <label class="btn btn-minor" for="stats-file">IMPORT</label>
+        </div>
+        <input type="file" id="stats-file" accept=".json,application/json" hidden>
+        <p class="error-label" id="stats-error"></p>
+      </div>
+    `);
+    document.getElementById('btn-back').addEventListener('click', onBack);
+    document.getElementById('btn-stats-export').addEventListener('click', () => {
+      this.downloadJSON('light-bike-stats.json', exportStats());
+    });
+    document.getElementById('stats-file').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      try {
+        importStats(await file.text());
+        this.showStats({ onBack });
+      } catch (err) {
+        document.getElementById('stats-error').textContent = err.message;
+      }
+    });
+  }
+
+  // Presets and the individual toggles; every change goes straight to onChange
+  showGraphics(settings, { onChange, onBack }) {
+    const preset = matchingPreset(settings);
+    const presets = Object.keys(GRAPHICS_PRESETS).map(name =>
+      `<button class="option ${name === preset ? 'selected' : ''}" data-preset="${name}">${name}</button>`).join('');
+    const onOff = (id, on) => `
+      <select id="${id}">
+        <option value="1" ${on ? 'selected' : ''}>ON</option>
+        <option value="0" ${on ? '' : 'selected'}>OFF</option>
+      </select>`;
+    const scales = RESOLUTION_SCALES.map(s =>
+      `<option value="${s}" ${s === settings.resolution ? 'selected' : ''}>${s * 100}%</option>`).join('');
+
+    this._render(`
+      <div class="screen">
+        <h2>GRAPHICS</h2>
+        <p class="subtitle">${preset ?? 'CUSTOM'}</p>
+        <div class="option-row" id="preset-row">${presets}</div>
+        <div class="config-form">
+          <label>BLOOM</label>
+          <div class="cfg-range">
+            <input type="range" id="gfx-bloom" min="0" max="${BLOOM_MAX}" step="0.1" value="${settings.bloom}"><output id="gfx-bloom-out">${settings.bloom.toFixed(1)}</output>
+          </div>
+          <label>SHADOWS</label>${onOff('gfx-shadows', settings.shadows)}
+          <label>RESOLUTION</label><select id="gfx-resolution">${scales}</select>
+          <label>BIKE LIGHTS</label>${onOff('gfx-bikeLights', settings.bikeLights)}
+          <label>FOG</label>${onOff('gfx-fog', settings.fog)}
+          <label>FPS</label>${onOff('gfx-fps', settings.fps)}
+          <label>MOTION</label>
+          <select id="gfx-reducedMotion">
+            <option value="0" ${settings.reducedMotion ? '' : 'selected'}>FULL</option>
+            <option value="1" ${settings.reducedMotion ? 'selected' : ''}>REDUCED</option>
+          </select>
+        </div>
+        <div class="btn-row">
+          <button class="btn" id="btn-back">DONE</button>
+        </div>
+      </div>
+    `);
+    const change = patch => {
+      const next = { ...settings, ...patch };
+      onChange(next);
+      this.showGraphics(next, { onChange, onBack });
+    };
+    this._root.querySelectorAll('#preset-row .option').forEach(el => {
+      el.addEventListener('click', () => change(GRAPHICS_PRESETS[el.dataset.preset]));
+    });
+    // Bloom applies while dragging; the screen only redraws once it's let go
+    const bloom = document.getElementById('gfx-bloom');
+    bloom.addEventListener('input', () => {
+      document.getElementById('gfx-bloom-out').textContent = Number(bloom.value).toFixed(1);
+      onChange({ ...settings, bloom: Number(bloom.value) });
+    });
+    bloom.addEventListener('change', () => change({ bloom: Number(bloom.value) }));
+    for (const key of ['shadows', 'bikeLights', 'fog', 'fps', 'reducedMotion']) {
+      const el = document.getElementById(`gfx-${key}`);
+      el.addEventListener('change', () => change({ [key]: el.value === '1' }));
+    }
+    const res = document.getElementById('gfx-resolution');
+    res.addEventListener('change', () => change({ resolution: Number(res.value) }));
+    document.getElementById('btn-back').addEventListener('click', onBack);
+  }
+
+  showOnlineScreen({ onConnect, onBack }) {
+    this._render(`
+      <div class="screen">
+        <h2>ONLINE</h2>
+        <p class="subtitle">Authoritative server</p>
+        <input class="seed-input" id="server-url" value="${escapeHtml(defaultServerUrl())}" spellcheck="false">
+        <input class="seed-input" id="player-name" placeholder="NAME" maxlength="16" spellcheck="false">
+        <div class="btn-row">
+          <button class="btn" id="btn-connect">CONNECT</button>
+          <button class="btn" id="btn-back">BACK</button>
+        </div>
+      </div>
+    `);
+    document.getElementById('btn-connect').addEventListener('click', () => {
+      onConnect(
+        document.getElementById('server-url').value.trim(),
+        document.getElementById('player-name').value.trim(),
+      );
+    });
+    document.getElementById('btn-back').addEventListener('click', onBack);
+  }
+
+  // lobby: { players, you, playing, max } from the server
+  showLobby({ players, you, playing, max }, { onStart, onLeave }) {
+    const rows = Array.from({ length: max }, (_, i) => {
+      const name = players[i];
+      if (name === undefined) return `<li class="lobby-slot empty">BOT</li>`;
+      return `<li class="lobby-slot">${escapeHtml(name)}${i === you ? ' <span>(YOU)</span>' : ''}</li>`;
+    }).join('');
+
+    this._render(`
+      <div class="screen">
+        <h2>LOBBY</h2>
+        <p class="subtitle">${playing ? 'Match in progress' : `${players.length} / ${max} riders`}</p>
+        <ol class="lobby-list">${rows}</ol>
+        <div class="btn-row">
+          <button class="btn" id="btn-start" ${playing ? 'disabled' : ''}>START</button>
+          <button class="btn" id="btn-leave">LEAVE</button>
+        </div>
+      </div>
+    `);
+    document.getElementById('btn-start').addEventListener('click', onStart);
+    document.getElementById('btn-leave').addEventListener('click', onLeave);
+  }
+
+  // ─── Matches ──────────────────────────────────────────────────────────────
+
+  // Standings table; `round` adds the points each rider scored last round
+  _standingsTable(match, round) {
+    const rows = match.standings.map((r, i) => `
+      <tr>
+        <td class="sb-rank">${i + 1}</td>
+        <td class="sb-name" style="color:${hexColor(r.color)}">${escapeHtml(r.label)}</td>
+        ${round ? `<td>+${r.last.points}</td>` : ''}
+        <td>${r.wins}</td>
+        <td>${r.kills}</td>
+        <td class="sb-points">${r.points}</td>
+      </tr>`).join('');
+    return `
+      <table class="scoreboard">
+        <tr><th></th><th>RIDER</th>${round ? '<th>ROUND</th>' : ''}<th>WINS</th><th>KILLS</th><th>PTS</th></tr>
+        ${rows}
+      </table>`;
+  }
+
+  // Between rounds: handlers { onNext, onExport, onQuit }
+  showScoreboard(match, { onNext, onExport, onQuit }) {
+    this._render(`
+      <div class="screen">
+        <h2>ROUND ${match.rounds}</h2>
+        <p class="subtitle">NEXT · ${match.heading}</p>
+        ${this._standingsTable(match, true)}
+        <div class="btn-row">
+          <button class="btn" id="btn-next">NEXT ROUND</button>
+          <button class="btn" id="btn-quit">QUIT</button>
+        </div>
+        <div class="btn-row btn-row-minor">
+          <button class="btn btn-minor" id="btn-export">EXPORT REPLAY</button>
+        </div>
+      </div>
+    `);
+    document.getElementById('btn-next').addEventListener('click', () => {
+      this.clear();
+      onNext();
+    });
+    document.getElementById('btn-quit').addEventListener('click', onQuit);
+    document.getElementById('btn-export').addEventListener('click', () => onExport());
+  }
+
+  // After the last round: handlers { onRematch, onMenu }
+  showPodium(match, { onRematch, onMenu }) {
+    const [first, second, third] = match.standings;
+    // Second, first, third from left to right
+    const step = (r, place) => r ? `
+      <div class="podium-step podium-${place}">
+        <span class="podium-name" style="color:${hexColor(r.color)}">${escapeHtml(r.label)}</span>
+        <span class="podium-points">${r.points} PTS</span>
+        <div class="podium-block" style="border-color:${hexColor(r.color)}">${place}</div>
+      </div>` : '';
+
+    this._render(`
+      <div class="screen">
+        <h2>CHAMPION</h2>
+        <p class="winner-label" style="color:${hexColor(first.color)}">${escapeHtml(first.label)}</p>
+        <p class="subtitle">${match.rounds} ROUNDS</p>
+        <div class="podium">${step(second, 2)}${step(first, 1)}${step(third, 3)}</div>
+        ${this._standingsTable(match, false)}
+        <div class="btn-row">
+          <button class="btn" id="btn-rematch">REMATCH</button>
+          <button class="btn" id="btn-menu">MENU</button>
+        </div>
+      </div>
+    `);
+    document.getElementById('btn-rematch').addEventListener('click', () => {
       this.clear();
-      onStart();
+      onRematch();
     });
+    document.getElementById('btn-menu').addEventListener('click', onMenu);
   }
 
-  showGameOver(winnerBike, onRestart) {
-    const isPlayer = winnerBike && winnerBike.id === 1;
-    const colorHex = winnerBike
-      ? '#' + winnerBike.color.toString(16).padStart(6, '0')
-      : '#ffffff';
+  // Simple notice with one button
+  showMessage(title, text, onOk) {
+    this._render(`
+      <div class="screen">
+        <h2>${escapeHtml(title)}</h2>
+        <p class="winner-label">${escapeHtml(text)}</p>
+        <button class="btn" id="btn-ok">OK</button>
+      </div>
+    `);
+    document.getElementById('btn-ok').addEventListener('click', () => {
+      this.clear();
+      onOk();
+    });
+  }
+
+  // opts: { seed, humans, you, onRestart(seed), onLobby(), onMenu(), onExport(), onWatch() }
+  // onRestart with the same seed replays the setup, null rolls a new one.
+  // Online rounds pass `you` (the local player number) and onLobby instead.
+  showGameOver(winnerBike, { seed, humans = 1, you, onRestart, onLobby, onMenu, onExport, onWatch }) {
+    const playerNum = winnerBike?.playerNum ?? null;
+    const colorHex  = winnerBike ? hexColor(winnerBike.color) : '#ffffff';
 
-    const title  = winnerBike ? (isPlayer ? 'VICTORY' : 'GAME OVER') : 'DRAW';
-    const label  = winnerBike
-      ? (isPlayer ? 'YOU SURVIVED' : 'A BOT WINS')
-      : 'ALL BIKES DESTROYED';
+    let title, label;
+    if (!winnerBike) {
+      title = 'DRAW';
+      label = 'ALL BIKES DESTROYED';
+    } else if (playerNum === null) {
+      title = 'GAME OVER';
+      label = 'A BOT WINS';
+    } else if (you !== undefined && you !== playerNum) {
+      title = 'GAME OVER';
+      label = `PLAYER ${playerNum} WINS`;
+    } else {
+      title = 'VICTORY';
+      label = humans > 1 && you === undefined ? `PLAYER ${playerNum} WINS` : 'YOU SURVIVED';
+    }
+
+    const actions = onLobby
+      ? `<button class="btn" id="btn-lobby">LOBBY</button>`
+      : `<button class="btn" id="btn-restart">RESTART</button>
+          <button class="btn" id="btn-replay-seed">REPLAY SEED</button>
+          <button class="btn" id="btn-menu">MENU</button>`;
 
     this._render(`
       <div class="screen">
         <h2>${title}</h2>
         <p class="winner-label" style="color:${colorHex}">${label}</p>
-        <button class="btn" id="btn-restart">RESTART</button>
+        <p class="seed-label">SEED <span id="seed-value">${seed}</span></p>
+        ${onLobby ? '' : `<input class="seed-input" id="seed-input" placeholder="SEED (OPTIONAL)" spellcheck="false">`}
+        <div class="btn-row">
+          ${actions}
+        </div>
+        <div class="btn-row btn-row-minor">
+          <button class="btn btn-minor" id="btn-watch">WATCH REPLAY</button>
+          <button class="btn btn-minor" id="btn-export">EXPORT REPLAY</button>
+        </div>
       </div>
     `);
+    document.getElementById('btn-watch').addEventListener('click', () => {
+      this.clear();
+      onWatch();
+    });
+    document.getElementById('btn-export').addEventListener('click', () => onExport());
+    if (onLobby) {
+      document.getElementById('btn-lobby').addEventListener('click', onLobby);
+      return;
+    }
     document.getElementById('btn-restart').addEventListener('click', () => {
+      const typed = parseSeed(document.getElementById('seed-input').value);
+      this.clear();
+      onRestart(typed);
+    });
+    document.getElementById('btn-replay-seed').addEventListener('click', () => {
       this.clear();
-      onRestart();
+      onRestart(seed);
     });
+    document.getElementById('btn-menu').addEventListener('click', onMenu);
+  }
+
+  // handlers: { onToggle, onStep, onSeek(tick), onSpeed(±1), onExit }
+  showReplayBar(length, { onToggle, onStep, onSeek, onSpeed, onExit }) {
+    this._replayBar.innerHTML = `
+      <button class="btn btn-minor" id="rb-toggle">PAUSE</button>
+      <button class="btn btn-minor" id="rb-step">STEP</button>
+      <input type="range" id="rb-scrub" min="0" max="${length}" step="1" value="0">
+      <span class="rb-tick" id="rb-tick">0 / ${length}</span>
+      <button class="btn btn-minor" id="rb-slower">−</button>
+      <span class="rb-speed" id="rb-speed">1×</span>
+      <button class="btn btn-minor" id="rb-faster">+</button>
+      <button class="btn btn-minor" id="rb-exit">EXIT</button>
+    `;
+    this._replayLength = length;
+    this._replayBar.style.display = 'flex';
+
+    const $ = id => document.getElementById(id);
+    $('rb-toggle').addEventListener('click', onToggle);
+    $('rb-step').addEventListener('click', onStep);
+    $('rb-scrub').addEventListener('input', e => onSeek(Number(e.target.value)));
+    $('rb-slower').addEventListener('click', () => onSpeed(-1));
+    $('rb-faster').addEventListener('click', () => onSpeed(1));
+    $('rb-exit').addEventListener('click', onExit);
+
+    // Keep Space/arrows for the replay shortcuts rather than the focused control
+    this._replayBar.querySelectorAll('button, input')
+      .forEach(el => el.addEventListener('keydown', e => e.preventDefault()));
+  }
+
+  updateReplayBar(tick, paused, speed) {
+    const $ = id => document.getElementById(id);
+    if (!$('rb-scrub')) return;
+    $('rb-scrub').value       = tick;
+    $('rb-tick').textContent   = `${tick} / ${this._replayLength}`;
+    $('rb-toggle').textContent = paused ? 'PLAY' : 'PAUSE';
+    $('rb-speed').textContent  = `${speed}×`;
+  }
+
+  hideReplayBar() {
+    this._replayBar.innerHTML     = '';
+    this._replayBar.style.display = 'none';
+  }
+
+  // ─── Map editor ───────────────────────────────────────────────────────────
+
+  // state: { name, size, tool }
+  // handlers: { onTool, onName, onSize, onLoad(map), onClear, onSave, onDownload, onPlay, onExit }
+  showEditorPanel({ name, size, tool }, handlers) {
+    const tools = EDITOR_TOOLS.map(t =>
+      `<button class="option ${t.tool === tool ? 'selected' : ''}" data-tool="${t.tool}">${t.key} ${t.label}</button>`).join('');
+    const sizes = ARENA_SIZES.map(n =>
+      `<option value="${n}" ${n === size ? 'selected' : ''}>${n} × ${n}</option>`).join('');
+    const maps = [
+      ...BUILTIN_MAPS.filter(m => m.map).map(m => ({ id: `builtin:${m.id}`, name: m.name })),
+      ...loadSavedMaps().map(m => ({ id: `saved:${m.name}`, name: m.name })),
+    ].map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.name.toUpperCase())}</option>`).join('');
+
+    this._editor.innerHTML = `
+      <h2>MAP EDITOR</h2>
+      <input class="seed-input" id="ed-name" value="${escapeHtml(name)}" maxlength="32" spellcheck="false">
+      <div class="config-form">
+        <label>ARENA</label><select id="ed-size">${sizes}</select>
+        <label>OPEN</label><select id="ed-load"><option value="">—</option>${maps}</select>
+      </div>
+      <div class="option-row" id="ed-tools">${tools}</div>
+      <p class="ed-help">LEFT DRAG PAINT · RIGHT DRAG ERASE<br>CLICK A SPAWN OR PRESS R TO TURN IT</p>
+      <p class="ed-stats" id="ed-stats"></p>
+      <ul class="ed-problems" id="ed-problems"></ul>
+      <p class="ed-status" id="ed-status"></p>
+      <div class="btn-row">
+        <button class="btn" id="ed-play">PLAY</button>
+        <button class="btn" id="ed-save">SAVE</button>
+      </div>
+      <div class="btn-row btn-row-minor">
+        <button class="btn btn-minor" id="ed-download">DOWNLOAD</button>
+        <label class="btn btn-minor" for="ed-file">LOAD FILE</label>
+        <button class="btn btn-minor" id="ed-clear">CLEAR</button>
+        <button class="btn btn-minor" id="ed-exit">EXIT</button>
+      </div>
+      <input type="file" id="ed-file" accept=".json,application/json" hidden>
+    `;
+    this._editor.style.display = 'block';
+
+    const $ = id => document.getElementById(id);
+    this._bindOptions('ed-tools', el => handlers.onTool(el.dataset.tool));
+    $('ed-name').addEventListener('input', e => handlers.onName(e.target.value));
+    $('ed-size').addEventListener('change', e => handlers.onSize(Number(e.target.value)));
+    $('ed-load').addEventListener('change', e => {
+      const [kind, id] = e.target.value.split(/:(.*)/);
+      const map = kind === 'builtin'
+        ? BUILTIN_MAPS.find(m => m.id === id)?.map
+        : loadSavedMaps().find(m => m.name === id);
+      e.target.value = '';
+      if (map) this._openEditorMap(map, handlers);
+    });
+    $('ed-file').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      e.target.value = '';
+      try {
+        this._openEditorMap(parseMap(await file.text()), handlers);
+      } catch (err) {
+        this.flashEditorStatus(err.message);
+      }
+    });
+    $('ed-clear').addEventListener('click', handlers.onClear);
+    $('ed-save').addEventListener('click', handlers.onSave);
+    $('ed-download').addEventListener('click', handlers.onDownload);
+    $('ed-play').addEventListener('click', handlers.onPlay);
+    $('ed-exit').addEventListener('click', handlers.onExit);
+  }
+
+  // stats: { size, walls, spawns, problems: [string] }
+  updateEditorPanel({ size, walls, spawns, problems }) {
+    const $ = id => document.getElementById(id);
+    if (!$('ed-stats')) return;
+    $('ed-size').value        = size;
+    $('ed-stats').textContent = `${spawns} SPAWNS · ${walls} WALL CELLS`;
+    $('ed-problems').innerHTML = problems.map(p => `<li>${escapeHtml(p)}</li>`).join('');
+    // A map that fails validation can't leave the editor
+    ['ed-play', 'ed-save', 'ed-download'].forEach(id => { $(id).disabled = problems.length > 0; });
+  }
+
+  selectEditorTool(tool) {
+    this._editor.querySelectorAll('#ed-tools .option').forEach(o => {
+      o.classList.toggle('selected', o.dataset.tool === tool);
+    });
+  }
+
+  flashEditorStatus(text) {
+    const el = document.getElementById('ed-status');
+    if (!el) return;
+    el.textContent = text;
+    clearTimeout(this._statusTimer);
+    this._statusTimer = setTimeout(() => { el.textContent = ''; }, 2500);
+  }
+
+  hideEditorPanel() {
+    this._editor.innerHTML     = '';
+    this._editor.style.display = 'none';
+  }
+
+  _openEditorMap(map, handlers) {
+    document.getElementById('ed-name').value = map.name;
+    handlers.onName(map.name);
+    handlers.onLoad(map);
+  }
+
+  downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const a    = document.createElement('a');
+    a.href     = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
   }
 
   clear() {
     this._root.innerHTML = '';
   }
 
+  // ─── Match settings ───────────────────────────────────────────────────────
+
+  _configForm() {
+    const c = this._config;
+    const sizes = ARENA_SIZES.map(n =>
+      `<option value="${n}" ${n === c.gridSize ? 'selected' : ''}>${n} × ${n}</option>`).join('');
+    const speeds = TICK_SPEEDS.map(s =>
+      `<option value="${s.tickMs}" ${s.tickMs === c.tickMs ? 'selected' : ''}>${s.label}</option>`).join('');
+    const maps = this._mapChoices().map(m =>
+      `<option value="${escapeHtml(m.id)}" ${m.id === this._mapId ? 'selected' : ''}>${escapeHtml(m.name.toUpperCase())}</option>`).join('');
+    const matches = MATCH_FORMATS.map(f =>
+      `<option value="${f.id}" ${f.id === this._matchId ? 'selected' : ''}>${f.label}</option>`).join('');
+    const range = (id, key) => `
+      <input type="range" id="${id}" min="${CONFIG_LIMITS[key].min}" max="${CONFIG_LIMITS[key].max}"
+             value="${c[key]}"><output id="${id}-out">${c[key]}</output>`;
+
+    return `
+      <div class="config-form">
+        <label>MAP</label><select id="cfg-map">${maps}</select>
+        <label>ARENA</label><select id="cfg-grid" ${this._mapId !== 'open' ? 'disabled' : ''}>${sizes}</select>
+        <label>BOTS</label><div class="cfg-range">${range('cfg-bots', 'bots')}</div>
+        <label>SPEED</label><select id="cfg-tick">${speeds}</select>
+        <label>JUMPS</label><div class="cfg-range">${range('cfg-jumps', 'jumps')}</div>
+        <label>ITEMS</label><div class="cfg-range">${range('cfg-pickups', 'pickups')}</div>
+        <label>MATCH</label><select id="cfg-match">${matches}</select>
+      </div>`;
+  }
+
+  _bindConfigForm() {
+    const bind = (id, key, event) => {
+      const el = document.getElementById(id);
+      el.addEventListener(event, () => {
+        this._config[key] = Number(el.value);
+        const out = document.getElementById(`${id}-out`);
+        if (out) out.textContent = el.value;
+      });
+    };
+    bind('cfg-grid',  'gridSize', 'change');
+    bind('cfg-bots',  'bots',     'input');
+    bind('cfg-tick',  'tickMs',   'change');
+    bind('cfg-jumps', 'jumps',    'input');
+    bind('cfg-pickups', 'pickups', 'input');
+
+    const matchSel = document.getElementById('cfg-match');
+    matchSel.addEventListener('change', () => { this._matchId = matchSel.value; });
+
+    // Maps fix their own size
+    const mapSel = document.getElementById('cfg-map');
+    mapSel.addEventListener('change', () => {
+      this._mapId = mapSel.value;
+      document.getElementById('cfg-grid').disabled = this._mapId !== 'open';
+    });
+  }
+
+  // Custom bot modules from a URL or a local file. Once loaded they're
+  // offered alongside the built-in personalities under OPPONENTS.
+  _bindBotLoader() {
+    const status = document.getElementById('bot-status');
+    const report = (text, ok) => {
+      status.textContent = text;
+      status.classList.toggle('ok', ok);
+    };
+    const loaded = () => {
+      const names = customBots();
+      report(names.length ? `CUSTOM BOTS: ${names.join(', ')}` : '', true);
+    };
+    const load = async source => {
+      report('LOADING…', true);
+      try {
+        const name = await loadBotModule(source);
+        report(`LOADED ${name} — PICK IT UNDER OPPONENTS`, true);
+      } catch (err) {
+        report(err.message, false);
+      }
+    };
+    loaded();
+    document.getElementById('btn-bot-url').addEventListener('click', () => {
+      const url = document.getElementById('bot-url').value.trim();
+      if (url) load(url);
+    });
+    document.getElementById('bot-file').addEventListener('change', e => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) load(file);
+    });
+  }
+
+  _opponent(i) {
+    return this._config.opponents[i] ?? { personality: 'RANDOM', difficulty: 'NORMAL' };
+  }
+
+  _setOpponent(i, key, value) {
+    const list = this._config.opponents;
+    while (list.length <= i) list.push({ personality: 'RANDOM', difficulty: 'NORMAL' });
+    list[i] = { ...list[i], [key]: value };
+  }
+
+  // Built-in maps first, then the player's saved ones
+  _mapChoices() {
+    return [
+      ...BUILTIN_MAPS,
+      ...loadSavedMaps().map(map => ({ id: `saved:${map.name}`, name: map.name, map })),
+    ];
+  }
+
+  _selectedMap() {
+    return this._mapChoices().find(m => m.id === this._mapId)?.map ?? null;
+  }
+
+  // Single-choice button group: marks the clicked option and reports it
+  _bindOptions(rowId, onSelect) {
+    const row = document.getElementById(rowId);
+    row.querySelectorAll('.option').forEach(el => {
+      el.addEventListener('click', () => {
+        row.querySelectorAll('.option').forEach(o => o.classList.remove('selected'));
+        el.classList.add('selected');
+        onSelect(el);
+      });
+    });
+  }
+
   _render(html) {
     this._root.innerHTML = html;
   }
@@ -0,0 +1,186 @@
+// One lobby + match. Runs the authoritative Simulation and fans state out to
+// every connected client. Transport-agnostic: anything with send(string) works.
+import { PLAYER_COLORS } from '../js/constants.js';
+import { Simulation } from '../js/simulation.js';
+import { createReplay } from '../js/replay.js';
+import { normalizeConfig } from '../js/config.js';
+import { parseMap } from '../js/maps.js';
+
+export const MAX_CLIENTS = PLAYER_COLORS.length;
+
+const ACTIONS = new Set(['LEFT', 'RIGHT', 'JUMP', 'BOOST']);
+
+export class Room {
+  constructor({ log = () => {} } = {}) {
+    this.log     = log;
+    this.clients = [];             // join order = seat order
+    this.sim     = null;
+    this.config  = null;
+    this.timer   = null;
+    this._sent   = new Map();      // bike id → trail cells already broadcast
+  }
+
+  get playing() { return this.timer !== null; }
+
+  // Returns the client record, or null if the room is full or mid-match
+  join(socket, name = '') {
+    if (this.playing || this.clients.length >= MAX_CLIENTS) return null;
+    const client = {
+      socket,
+      name:    String(name).slice(0, 16) || `PLAYER ${this.clients.length + 1}`,
+      bikeId:  null,               // set when a match starts
+      inputs:  [],                 // { seq, action } waiting for the next tick
+      ack:     0,                  // highest input seq applied
+    };
+    this.clients.push(client);
+    this.log(`join  ${client.name} (${this.clients.length}/${MAX_CLIENTS})`);
+    this._broadcastLobby();
+    return client;
+  }
+
+  leave(client) {
+    this.clients = this.clients.filter(c => c !== client);
+    this.log(`leave ${client.name}`);
+    // A human who drops mid-match keeps riding straight until they crash
+    if (this.clients.length === 0) this._stop();
+    if (!this.playing) this._broadcastLobby();
+  }
+
+  handle(client, msg) {
+    switch (msg?.t) {
+      case 'start': {
+        if (this.playing) break;
+        let map = null;
+        try {
+          if (msg.map) map = parseMap(msg.map);
+        } catch (err) {
+          this._send(client, { t: 'error', message: err.message });
+          break;
+        }
+        if (map && map.spawns.length < this.clients.length) {
+          this._send(client, { t: 'error', message: `${map.name} only seats ${map.spawns.length}` });
+          break;
+        }
+        this.start(undefined, msg.config, map);
+        break;
+      }
+      case 'input':
+        if (this.playing && ACTIONS.has(msg.action) && Number.isInteger(msg.seq)) {
+          client.inputs.push({ seq: msg.seq, action: msg.action });
+        }
+        break;
+    }
+  }
+
+  // Seat everyone in join order. Unless the config says otherwise, bots top
+  // the field up to MAX_CLIENTS riders.
+  start(seed, config = {}, map = null) {
+    const humans = this.clients.length;
+    this.sim = new Simulation();
+    this.sim.start({
+      seed, humans, map,
+      config: normalizeConfig({ bots: Math.max(1, MAX_CLIENTS - humans), ...config }),
+    });
+    this.config = this.sim.config;
+    this.clients.forEach((c, i) => {
+      c.bikeId = this.sim.bikes[i].id;
+      c.inputs = [];
+      c.ack    = 0;
+    });
+    this._sent = new Map(this.sim.bikes.map(b => [b.id, b.trail.length]));
+
+    this.clients.forEach(c => this._send(c, {
+      t:      'start',
+      you:    c.bikeId,
+      seed:   this.sim.seed,
+      config: this.config,
+      map:    this.sim.map,
+      bikes:  this.sim.bikes.map(b => ({
+        id: b.id, color: b.color, gx: b.gx, gz: b.gz, dir: b.dir,
+        playerNum: b.playerNum,
+        name: this.clients[b.id - 1]?.name ?? null,
+      })),
+    }));
+    this.log(`start seed=${this.sim.seed} humans=${this.clients.length}`);
+
+    this.timer = setInterval(() => this.tick(), this.config.tickMs);
+  }
+
+  // One authoritative step. Public so tests and tools can drive it by hand.
+  tick() {
+    const sim = this.sim;
+
+    for (const c of this.clients) {
+      const bike = sim.bikes.find(b => b.id === c.bikeId);
+      for (const { seq, action } of c.inputs) {
+        bike?.control(action);
+        c.ack = Math.max(c.ack, seq);
+      }
+      c.inputs = [];
+    }
+
+    this._broadcast(this._delta(sim.step()));
+
+    if (sim.over) {
+      this._stop();
+      this._broadcast({
+        t:      'over',
+        winner: sim.winner?.id ?? null,
+        replay: createReplay(sim),
+      });
+      this.log(`over  winner=${sim.winner?.id ?? 'draw'} ticks=${sim.tick}`);
+      this._broadcastLobby();
+    }
+  }
+
+  // ─── Private ──────────────────────────────────────────────────────────────
+
+  // Only what changed: live bike states, newly claimed cells, deaths, acks.
+  // A trail that lost a segment is resent whole; power-ups are small enough
+  // to send in full every tick.
+  _delta({ died, picked, erased }) {
+    const bikes  = [];
+    const cells  = [];
+    const trails = [];
+    for (const b of this.sim.bikes) {
+      if (!b.alive) continue;
+      bikes.push([b.id, b.gx, b.gz, b.dir, b.jumpTicksLeft, b.jumpCount, b.maxJumps, b.boostTicks, b.ghostTicks,
+                  b.boostMeter, b.boostOn, b._progress]);
+      if (erased.includes(b.id)) {
+        trails.push([b.id, b.trail.map(c => [c.gx, c.gz])]);
+        this._sent.set(b.id, b.trail.length);
+        continue;
+      }
+      const from = this._sent.get(b.id) ?? 0;
+      for (let i = from; i < b.trail.length; i++) {
+        cells.push([b.id, b.trail[i].gx, b.trail[i].gz]);
+      }
+      this._sent.set(b.id, b.trail.length);
+    }
+    const acks = {};
+    this.clients.forEach(c => { acks[c.bikeId] = c.ack; });
+    const pickups = [...this.sim.pickups.values()].map(p => [p.id, p.kind, p.gx, p.gz]);
+    return { t: 'tick', tick: this.sim.tick, bikes, cells, trails, died, picked, pickups, acks };
+  }
+
+  _stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  _broadcastLobby() {
+    const players = this.clients.map(c => c.name);
+    this.clients.forEach((c, i) => this._send(c, {
+      t: 'lobby', players, you: i, playing: this.playing, max: MAX_CLIENTS,
+    }));
+  }
+
+  _broadcast(msg) {
+    const text = JSON.stringify(msg);
+    this.clients.forEach(c => c.socket.send(text));
+  }
+
+  _send(client, msg) {
+    client.socket.send(JSON.stringify(msg));
+  }
+}
@@ -0,0 +1,84 @@
+// Authoritative multiplayer server.
+//
+//   npm run server              → http://localhost:8080 (game + WebSocket at /ws)
+//   PORT=9000 npm run server
+//
+// Also serves the static game files so a browser pointed at the server can
+// play without any other web server.
+import { createServer } from 'node:http';
+import { readFile }     from 'node:fs/promises';
+import { extname, join, normalize, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { Room } from './room.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT) || 8080;
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json',
+};
+
+// ─── Static files ────────────────────────────────────────────────────────────
+
+// Everything the browser needs, and nothing else from the repo
+const PUBLIC = ['index.html', 'css/', 'js/', 'bots/'];
+
+function isPublic(rel) {
+  return PUBLIC.some(p => p.endsWith('/') ? rel.startsWith(p) : rel === p)
+    && !rel.split('/').some(part => part.startsWith('.'));
+}
+
+const http = createServer(async (req, res) => {
+  let path;
+  try {
+    path = normalize(decodeURIComponent(new URL(req.url, 'http://x').pathname));
+  } catch {
+    res.writeHead(400).end('Bad request');
+    return;
+  }
+  const rel = path === '/' ? 'index.html' : path.replace(/^[/\\]+/, '').replaceAll('\\', '/');
+  if (!isPublic(rel)) {
+    res.writeHead(403).end();
+    return;
+  }
+  const file = join(ROOT, rel);
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { 'Content-Type': MIME[extname(file)] ?? 'application/octet-stream' });
+    res.end(body);
+  } catch {
+    res.writeHead(404).end('Not found');
+  }
+});
+
+// ─── WebSocket ───────────────────────────────────────────────────────────────
+
+const room = new Room({ log: line => console.log(`[room] ${line}`) });
+const wss  = new WebSocketServer({ server: http, path: '/ws' });
+
+wss.on('connection', (socket, req) => {
+  const name   = new URL(req.url, 'http://x').searchParams.get('name') ?? '';
+  const client = room.join(socket, name);
+  if (!client) {
+    socket.send(JSON.stringify({
+      t: 'error', message: room.playing ? 'Match in progress' : 'Room is full',
+    }));
+    socket.close();
+    return;
+  }
+
+  socket.on('message', data => {
+    let msg;
+    try { msg = JSON.parse(data); } catch { return; }
+    room.handle(client, msg);
+  });
+  socket.on('close', () => room.leave(client));
+});
+
+http.listen(PORT, () => {
+  console.log(`LIGHT BIKE server on http://localhost:${PORT}  (ws://localhost:${PORT}/ws)`);
+});
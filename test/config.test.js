@@ -0,0 +1,39 @@
+// Match config defaults and clamping.
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+import { normalizeConfig, DEFAULT_CONFIG, CONFIG_LIMITS } from '../js/config.js';
+
+test('an empty config is the defaults', () => {
+  assert.deepEqual(normalizeConfig(), DEFAULT_CONFIG);
+});
+
+test('numbers are rounded and clamped into CONFIG_LIMITS', () => {
+  const config = normalizeConfig({ gridSize: 9999, bots: 0, tickMs: 45.6, jumps: -3, pickups: '4' });
+  assert.equal(config.gridSize, CONFIG_LIMITS.gridSize.max);
+  assert.equal(config.bots,     CONFIG_LIMITS.bots.min);
+  assert.equal(config.tickMs,   46);
+  assert.equal(config.jumps,    0);
+  assert.equal(config.pickups,  4);
+});
+
+test('values that are not numbers fall back to the defaults', () => {
+  const config = normalizeConfig({ gridSize: 'huge', bots: NaN, tickMs: {}, unknown: 1 });
+  assert.equal(config.gridSize, DEFAULT_CONFIG.gridSize);
+  assert.equal(config.bots,     DEFAULT_CONFIG.bots);
+  assert.equal(config.tickMs,   DEFAULT_CONFIG.tickMs);
+  assert.equal('unknown' in config, false);
+});
+
+test('opponents and colours are cleaned and capped at the most bots', () => {
+  const config = normalizeConfig({
+    opponents: [{ personality: 'AGGRESSIVE', difficulty: 'HARD' }, { personality: 'NOPE', difficulty: 'IMPOSSIBLE' }, null],
+    colors:    [0xff0000, -1, 0x1000000, 'red', ...Array(20).fill(0)],
+  });
+  assert.deepEqual(config.opponents, [
+    { personality: 'AGGRESSIVE', difficulty: 'HARD' },
+    { personality: 'RANDOM',     difficulty: 'NORMAL' },
+    { personality: 'RANDOM',     difficulty: 'NORMAL' },
+  ]);
+  assert.equal(config.colors.length, CONFIG_LIMITS.bots.max);
+  assert.deepEqual(config.colors.slice(0, 5), [0xff0000, null, null, null, 0]);
+});
@@ -0,0 +1,43 @@
+// Map parsing, wall expansion and the built-in maps.
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+import { parseMap, mapCells, validateMap, BUILTIN_MAPS } from '../js/maps.js';
+
+const spawns = [[5, 5, 'EAST'], [30, 30, 'WEST']];
+
+test('a valid map parses to a clean copy', () => {
+  const data = { name: 'Test', size: 40, spawns, walls: [[1, 1]], rects: [[10, 10, 2, 3]], extra: true };
+  const map  = parseMap(JSON.stringify(data));
+  assert.deepEqual(map, { name: 'Test', size: 40, spawns, walls: [[1, 1]], rects: [[10, 10, 2, 3]] });
+  assert.notEqual(map.spawns[0], data.spawns[0]);
+});
+
+test('parseMap names the first problem', () => {
+  const bad = [
+    ['{', /not valid JSON/],
+    [{ size: 20, spawns }, /size must be a whole number from 40 to 200/],
+    [{ size: 40, spawns, walls: [[1]] }, /walls must be \[gx, gz\] pairs/],
+    [{ size: 40, spawns, rects: [[1, 1, 2]] }, /rects must be/],
+    [{ size: 40, spawns, rects: [[38, 0, 5, 1]] }, /rect 1 is outside the arena/],
+    [{ size: 40, spawns, rects: [[0, 0, 0, 4]] }, /rect 1 is outside the arena/],
+    [{ size: 40, spawns: [[5, 5, 'EAST']] }, /at least two spawns/],
+    [{ size: 40, spawns: [[5, 5, 'UP'], [9, 9, 'WEST']] }, /Spawn 1 must be/],
+    [{ size: 40, spawns: [[5, 5, 'EAST'], [40, 9, 'WEST']] }, /Spawn 2 is outside the arena/],
+    [{ size: 40, spawns, walls: [[30, 30]] }, /Spawn 2 is inside a wall/],
+    [{ size: 40, spawns: [[5, 5, 'EAST'], [5, 5, 'WEST']] }, /Spawn 2 shares a cell/],
+  ];
+  for (const [data, message] of bad) assert.throws(() => parseMap(data), message, JSON.stringify(data));
+});
+
+test('mapCells de-duplicates walls and clamps rects to the arena', () => {
+  const cells = mapCells({ size: 40, walls: [[0, 0], [0, 0], [1, 0], [50, 3]], rects: [[-2, -2, 4, 3], [38, 39, 10, 10]] });
+  const keys  = cells.map(([gx, gz]) => `${gx},${gz}`).sort();
+  assert.deepEqual(keys, ['0,0', '1,0', '38,39', '39,39'].sort());
+});
+
+test('validateMap flags boxed-in spawns and passes the built-ins', () => {
+  const boxed = { size: 40, spawns, rects: [[6, 0, 1, 40]] };
+  assert.match(validateMap(boxed).join('\n'), /Spawn 1 faces a wall/);
+  assert.deepEqual(validateMap({ size: 40, spawns }), []);
+  for (const { map } of BUILTIN_MAPS) if (map) assert.deepEqual(validateMap(map), [], map.name);
+});
@@ -0,0 +1,57 @@
+// Match scoring, standings and when a match ends.
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+import { Match, KILL_POINTS } from '../js/match.js';
+
+const riders = (n = 3) => Array.from({ length: n }, (_, id) => ({ id, color: 0, label: `P${id}` }));
+const points = match => match.riders.map(r => r.points);
+
+test('placement pays one point per rider out first, kills pay KILL_POINTS', () => {
+  const match = new Match({ format: 'BEST_OF', target: 3 }, riders());
+  // 0 crashes into 2's trail, then 1 into its own: 2 wins
+  match.recordRound({ deaths: [{ bikeId: 0, by: 2, tick: 10 }, { bikeId: 1, by: 1, tick: 20 }], winner: 2 });
+  assert.deepEqual(points(match), [0, 1, 2 + KILL_POINTS]);
+  assert.deepEqual(match.riders[2].last, { place: 2, kills: 1, points: 2 + KILL_POINTS });
+  assert.equal(match.riders[2].wins, 1);
+  assert.equal(match.riders[1].kills, 0);
+});
+
+test('riders out on the same tick share the lower placement', () => {
+  const match = new Match({ format: 'BEST_OF', target: 3 }, riders());
+  match.recordRound({ deaths: [{ bikeId: 0, by: null, tick: 5 }, { bikeId: 1, by: null, tick: 5 }], winner: 2 });
+  assert.deepEqual(points(match), [0, 0, 2]);
+});
+
+test('best-of ends after target rounds unless the lead is shared', () => {
+  const match = new Match({ format: 'BEST_OF', target: 1 }, riders(2));
+  assert.equal(match.heading, 'ROUND 1 OF 1');
+  match.recordRound({ deaths: [{ bikeId: 0, by: null, tick: 3 }, { bikeId: 1, by: null, tick: 3 }], winner: null });
+  assert.equal(match.tied, true);
+  assert.equal(match.over, false);
+  assert.equal(match.heading, 'SUDDEN DEATH');
+
+  match.recordRound({ deaths: [{ bikeId: 1, by: null, tick: 8 }], winner: 0 });
+  assert.equal(match.over, true);
+  assert.equal(match.champion.id, 0);
+});
+
+test('first-to ends once a rider reaches the target alone', () => {
+  const match = new Match({ format: 'FIRST_TO', target: 2 }, riders(2));
+  assert.equal(match.name, 'FIRST TO 2');
+  match.recordRound({ deaths: [{ bikeId: 1, by: null, tick: 4 }], winner: 0 });
+  assert.equal(match.over, false);
+  assert.equal(match.heading, 'FIRST TO 2');
+  match.recordRound({ deaths: [{ bikeId: 1, by: 0, tick: 4 }], winner: 0 });
+  assert.equal(match.over, true);
+  assert.equal(match.champion.id, 0);
+});
+
+test('standings break point ties on wins, then kills', () => {
+  const match = new Match({ format: 'BEST_OF', target: 5 }, riders(2));
+  match.riders[0].points = match.riders[1].points = 3;
+  match.riders[1].wins = 1;
+  assert.deepEqual(match.standings.map(r => r.id), [1, 0]);
+  match.riders[0].wins  = 1;
+  match.riders[0].kills = 2;
+  assert.deepEqual(match.standings.map(r => r.id), [0, 1]);
+});
@@ -0,0 +1,63 @@
+// Replay files: recording, parsing and playback.
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+import { Simulation } from '../js/simulation.js';
+import { createReplay, parseReplay, ReplayPlayer } from '../js/replay.js';
+
+// A short finished round with a human who turns and jumps
+function recorded() {
+  const sim = new Simulation();
+  sim.start({ seed: 11, humans: 1, config: { gridSize: 40, bots: 2 } });
+  const me = sim.humanBikes[0];
+  while (!sim.over && sim.tick < 400) {
+    if (sim.tick === 3) me.queueTurn('LEFT');
+    if (sim.tick === 6) me.jump();
+    sim.step();
+  }
+  sim.dispose();
+  return { sim, replay: createReplay(sim) };
+}
+
+const withInputs = (replay, inputs) => JSON.stringify({ ...replay, inputs });
+
+test('a recorded round parses and plays back to the same end', () => {
+  const { sim, replay } = recorded();
+  const player = new ReplayPlayer(parseReplay(JSON.stringify(replay)));
+  while (!player.atEnd) player.step();
+  assert.equal(player.tick, sim.tick);
+  assert.equal(player.sim.winner?.id ?? null, replay.winner);
+  assert.deepEqual(player.sim.bikes.map(b => [b.gx, b.gz]), sim.bikes.map(b => [b.gx, b.gz]));
+});
+
+test('seeking lands on the requested tick, clamped to the replay', () => {
+  const { replay } = recorded();
+  const player = new ReplayPlayer(replay);
+  player.seek(5);
+  assert.equal(player.tick, 5);
+  player.seek(-3);
+  assert.equal(player.tick, 0);
+  player.seek(1e6);
+  assert.ok(player.atEnd);
+});
+
+test('files that are not replays are refused', () => {
+  assert.throws(() => parseReplay('{'), /not valid JSON/);
+  assert.throws(() => parseReplay('{"format":"other"}'), /Not a LIGHT BIKE replay/);
+  assert.throws(() => parseReplay(JSON.stringify({ format: 'light-bike-replay', version: 99 })), /newer/);
+  assert.throws(() => parseReplay(JSON.stringify({ format: 'light-bike-replay', version: 1 })), /missing/);
+});
+
+test('bad input entries are refused', () => {
+  const { replay } = recorded();
+  for (const entry of [[-1, 1, 'L'], [1.5, 1, 'L'], [0, 99, 'L'], [0, 1, 'X'], [0, 1], 'L']) {
+    assert.throws(() => parseReplay(withInputs(replay, [entry])), /Replay input 1 is not a valid/);
+  }
+  assert.throws(() => parseReplay(withInputs(replay, [[5, 1, 'L'], [4, 1, 'R']])), /Replay input 2/);
+  assert.doesNotThrow(() => parseReplay(withInputs(replay, [[4, 1, 'L'], [4, 1, 'B'], [5, 2, 'J']])));
+});
+
+test('replays from before power-ups play without them', () => {
+  const { replay } = recorded();
+  const { pickups, ...config } = replay.config;
+  assert.equal(parseReplay(JSON.stringify({ ...replay, config })).config.pickups, 0);
+});
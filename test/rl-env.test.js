@@ -0,0 +1,60 @@
+// The RL environment's reset / step contract.
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+import { LightBikeEnv, ACTIONS, FEATURES, CELL, DEFAULT_REWARD } from '../tools/rl-env.js';
+
+const env = (options = {}) => new LightBikeEnv({ opponents: ['AVOIDANT'], gridSize: 40, view: 3, ...options });
+
+test('reset returns an observation sized by spec', () => {
+  const e = env();
+  const { observation, info } = e.reset(7);
+  const [rows, cols] = e.spec.patch;
+  assert.deepEqual(e.spec.actions, ACTIONS);
+  assert.equal(observation.grid.length, rows * cols);
+  assert.equal(observation.features.length, FEATURES.length);
+  assert.ok(observation.grid.every(c => Object.values(CELL).includes(c)));
+  assert.equal(info.tick, 0);
+  assert.equal(info.seed, 7);
+  assert.equal(info.opponents, 1);
+});
+
+test('step pays survive per tick and rejects bad actions', () => {
+  const e = env();
+  assert.throws(() => e.step('STRAIGHT'), /Call reset\(\) before step\(\)/);
+  e.reset(7);
+  assert.throws(() => e.step('UP'), /Action must be one of/);
+  const { reward, done, info } = e.step(0);
+  assert.equal(reward, DEFAULT_REWARD.survive);
+  assert.equal(done, false);
+  assert.equal(info.tick, 1);
+});
+
+test('the same seed and actions replay the same episode', () => {
+  const run = () => {
+    const e = env();
+    const seen = [JSON.stringify(e.reset(3).observation)];
+    for (let i = 0; i < 30 && !e.done; i++) seen.push(JSON.stringify(e.step(i % 7 === 0 ? 'LEFT' : 'STRAIGHT')));
+    return seen;
+  };
+  assert.deepEqual(run(), run());
+});
+
+test('an episode ends at maxTicks as truncated, and step then refuses', () => {
+  const e = env({ maxTicks: 5 });
+  e.reset(1);
+  let last;
+  for (let i = 0; i < 5; i++) last = e.step('STRAIGHT');
+  assert.equal(last.done, true);
+  assert.equal(last.info.truncated, last.info.alive);
+  assert.throws(() => e.step('STRAIGHT'), /Episode is over/);
+});
+
+test('crashing costs the death penalty', () => {
+  const e = env();
+  e.reset(1);
+  let last;
+  // Turning the same way every tick drives the bike into its own trail
+  for (let i = 0; i < 10 && !e.done; i++) last = e.step('LEFT');
+  assert.equal(last.info.alive, false);
+  assert.equal(last.reward, DEFAULT_REWARD.death);
+});
@@ -0,0 +1,65 @@
+// Server room: seating, map checks and the authoritative tick.
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+import { Room } from '../server/room.js';
+
+const TWO_SPAWNS = { name: 'Duel', size: 40, spawns: [[5, 20, 'EAST'], [34, 20, 'WEST']] };
+
+// A socket that keeps every message it's sent
+function socket() {
+  const sent = [];
+  return { sent, send: text => sent.push(JSON.parse(text)) };
+}
+
+// A room with `n` clients joined; stops its timer once the test is done
+function room(t, n) {
+  const r       = new Room();
+  const clients = Array.from({ length: n }, (_, i) => r.join(socket(), `P${i + 1}`));
+  t.after(() => clients.forEach(c => r.leave(c)));
+  return { room: r, clients };
+}
+
+test('start seats every client on a bike in join order', t => {
+  const { room: r, clients } = room(t, 2);
+  r.handle(clients[0], { t: 'start', config: { bots: 1 } });
+  assert.ok(r.playing);
+  assert.deepEqual(clients.map(c => c.bikeId), [1, 2]);
+  const start = clients[1].socket.sent.find(m => m.t === 'start');
+  assert.equal(start.you, 2);
+  assert.equal(start.bikes.length, 3);
+  assert.deepEqual(start.bikes.map(b => b.name), ['P1', 'P2', null]);
+});
+
+test('a map with fewer spawns than clients is refused', t => {
+  const { room: r, clients } = room(t, 3);
+  r.handle(clients[0], { t: 'start', map: TWO_SPAWNS });
+  assert.ok(!r.playing);
+  assert.deepEqual(clients[0].socket.sent.at(-1), { t: 'error', message: 'Duel only seats 2' });
+});
+
+test('an invalid map is refused', t => {
+  const { room: r, clients } = room(t, 1);
+  r.handle(clients[0], { t: 'start', map: { size: 40, spawns: [] } });
+  assert.ok(!r.playing);
+  assert.equal(clients[0].socket.sent.at(-1).t, 'error');
+});
+
+test('a map that seats everyone starts', t => {
+  const { room: r, clients } = room(t, 2);
+  r.handle(clients[0], { t: 'start', map: TWO_SPAWNS });
+  assert.ok(r.playing);
+  assert.equal(r.sim.bikes.length, 2);
+});
+
+test('a tick applies queued inputs and acknowledges them', t => {
+  const { room: r, clients } = room(t, 1);
+  r.handle(clients[0], { t: 'start', config: { bots: 1 } });
+  const dir = r.sim.bikes[0].dir;
+  r.handle(clients[0], { t: 'input', seq: 1, action: 'LEFT' });
+  r.handle(clients[0], { t: 'input', seq: 2, action: 'NOPE' });
+  r.tick();
+  const tick = clients[0].socket.sent.at(-1);
+  assert.equal(tick.t, 'tick');
+  assert.equal(tick.acks[1], 1);
+  assert.notEqual(r.sim.bikes[0].dir, dir);
+});
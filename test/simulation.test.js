@@ -0,0 +1,165 @@
+// Collision rules and seeded determinism of the headless simulation.
+//   npm test
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+import { Simulation } from '../js/simulation.js';
+import { parseMap }   from '../js/maps.js';
+import { DEREZ_TICKS } from '../js/constants.js';
+
+// Human riders alone on a small arena, nobody steering unless told to (or
+// unless `inputs` replays a log)
+function duel(spawns, rects = [], inputs = null) {
+  const sim = new Simulation();
+  sim.start({
+    seed: 1, humans: spawns.length, config: { pickups: 0 }, map: parseMap({ size: 40, spawns, rects }), inputs,
+  });
+  return sim;
+}
+
+// Step until someone crashes; returns that tick's events
+function untilCrash(sim, limit = 50) {
+  for (let i = 0; i < limit; i++) {
+    const events = sim.step();
+    if (events.died.length) return events;
+  }
+  assert.fail(`nobody crashed in ${limit} ticks`);
+}
+
+// ─── Collisions ──────────────────────────────────────────────────────────────
+
+test('head-on into the same cell kills both riders', () => {
+  const sim = duel([[10, 20, 'EAST'], [14, 20, 'WEST']]);
+  const { kills } = untilCrash(sim);
+  assert.equal(sim.tick, 2);
+  assert.deepEqual(kills.sort((a, b) => a.bikeId - b.bikeId), [{ bikeId: 1, by: 2 }, { bikeId: 2, by: 1 }]);
+  assert.ok(sim.over);
+  assert.equal(sim.winner, null);
+});
+
+test('riders swapping cells crash instead of passing through', () => {
+  const sim = duel([[10, 20, 'EAST'], [13, 20, 'WEST']]);
+  const { died } = untilCrash(sim);
+  assert.equal(sim.tick, 2);
+  assert.deepEqual(died.sort(), [1, 2]);
+  assert.equal(sim.winner, null);
+});
+
+test('riding into the cell another rider is leaving crashes', () => {
+  const sim = duel([[10, 19, 'EAST'], [12, 20, 'NORTH']]);
+  const { kills } = untilCrash(sim);
+  assert.equal(sim.tick, 2);
+  assert.deepEqual(kills, [{ bikeId: 1, by: 2 }]);
+  assert.equal(sim.winner, sim.bikes[1]);
+});
+
+test('the arena edge and map walls kill, even mid-jump', () => {
+  const edge = duel([[1, 5, 'WEST'], [30, 30, 'NORTH']]);
+  assert.deepEqual(untilCrash(edge).kills, [{ bikeId: 1, by: null }]);
+  assert.equal(edge.tick, 2);
+
+  const wall = duel([[10, 10, 'EAST'], [30, 30, 'NORTH']], [[13, 8, 2, 5]]);
+  wall.bikes[0].jump();
+  assert.deepEqual(untilCrash(wall).kills, [{ bikeId: 1, by: null }]);
+  assert.equal(wall.tick, 3);
+});
+
+test('trails kill grounded riders and are jumped over', () => {
+  const spawns = [[15, 12, 'EAST'], [20, 10, 'SOUTH']];
+  const hit = duel(spawns);
+  assert.deepEqual(untilCrash(hit).kills, [{ bikeId: 1, by: 2 }]);
+  assert.equal(hit.tick, 5);
+
+  const jumper = duel(spawns);
+  for (let i = 0; i < 3; i++) jumper.step();
+  jumper.bikes[0].jump();
+  for (let i = 0; i < 5; i++) jumper.step();
+  assert.ok(jumper.bikes[0].alive);
+  assert.equal(jumper.bikes[0].gx, 23);
+});
+
+test('riders crash into their own trail', () => {
+  const sim = duel([[10, 10, 'EAST'], [30, 30, 'NORTH']]);
+  sim.step();
+  sim.bikes[0].queueTurn('RIGHT');
+  sim.step();
+  sim.bikes[0].queueTurn('RIGHT');
+  sim.step();
+  sim.bikes[0].queueTurn('RIGHT');
+  assert.deepEqual(untilCrash(sim).kills, [{ bikeId: 1, by: 1 }]);
+  assert.equal(sim.tick, 4);
+});
+
+test('a crashed trail blocks until it has dissolved', () => {
+  // Two riders left, so the round goes on
+  const sim = duel([[1, 5, 'WEST'], [20, 38, 'NORTH'], [30, 38, 'NORTH']]);
+  untilCrash(sim);
+  assert.equal(sim.grid[5][1], 1);
+  // The crash tick counts as the first of DEREZ_TICKS; moves on the last
+  // one still hit the trail, then it's gone
+  for (let i = 2; i < DEREZ_TICKS; i++) sim.step();
+  assert.equal(sim.grid[5][1], 1);
+  sim.step();
+  assert.equal(sim.grid[5][1], null);
+  assert.deepEqual(sim.bikes[0].trail, []);
+});
+
+// ─── Determinism ─────────────────────────────────────────────────────────────
+
+// An all-bot round on a seed, searching bots included
+function botRound(seed) {
+  const sim = new Simulation();
+  sim.start({
+    seed,
+    humans: 0,
+    config: {
+      gridSize:  40,
+      bots:      4,
+      opponents: ['STRATEGIST', 'ENGAGING', 'AGGRESSIVE', 'AVOIDANT'].map(personality => ({ personality })),
+    },
+  });
+  while (!sim.over && sim.tick < 2000) sim.step();
+  sim.dispose();
+  return {
+    tick:   sim.tick,
+    winner: sim.winner?.id ?? null,
+    inputs: sim.inputLog,
+    trails: sim.bikes.map(b => b.trail.map(c => `${c.gx},${c.gz}`).join(' ')),
+  };
+}
+
+test('the same seed plays the same round', () => {
+  const first = botRound(9);
+  assert.deepEqual(botRound(9), first);
+});
+
+test('a recorded input log replays the round', () => {
+  const live = new Simulation();
+  live.start({ seed: 4, humans: 0, config: { gridSize: 40, bots: 3 } });
+  while (!live.over && live.tick < 2000) live.step();
+  live.dispose();
+
+  const replay = new Simulation();
+  replay.start({ seed: 4, humans: 0, config: { gridSize: 40, bots: 3 }, inputs: live.inputLog });
+  while (!replay.over && replay.tick < 2000) replay.step();
+  assert.equal(replay.tick, live.tick);
+  assert.equal(replay.winner?.id, live.winner?.id);
+  assert.deepEqual(replay.bikes.map(b => [b.gx, b.gz, b.alive]), live.bikes.map(b => [b.gx, b.gz, b.alive]));
+});
+
+test('boost toggled twice in one tick replays as off', () => {
+  const run = inputs => {
+    const sim = duel([[5, 20, 'EAST'], [5, 30, 'EAST']], [], inputs);
+    for (let i = 0; i < 10; i++) {
+      if (!inputs && i === 2) {
+        sim.bikes[0].toggleBoost();
+        sim.bikes[0].toggleBoost();
+      }
+      sim.step();
+    }
+    return sim;
+  };
+  const live   = run(null);
+  const replay = run(live.inputLog);
+  assert.equal(live.bikes[0].boostOn, false);
+  assert.deepEqual([replay.bikes[0].gx, replay.bikes[0].boostOn], [live.bikes[0].gx, false]);
+});
@@ -0,0 +1,69 @@
+// Player stats: recording rounds and matches, export and import.
+import { test, beforeEach } from 'node:test';
+import assert   from 'node:assert/strict';
+import {
+  loadStats, emptyStats, recordRound, recordMatch, exportStats, importStats, resetStats,
+} from '../js/stats-store.js';
+
+// Just enough localStorage for the store
+const storage = new Map();
+globalThis.localStorage = {
+  getItem:    key => storage.get(key) ?? null,
+  setItem:    (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+};
+beforeEach(() => storage.clear());
+
+const round = (overrides = {}) => ({
+  won: false, draw: false, survivedMs: 1000, jumps: 1, kills: 0, opponents: ['AVOIDANT'], seed: 1, map: 'open',
+  ...overrides,
+});
+
+test('nothing saved loads as an empty profile', () => {
+  assert.deepEqual(loadStats(), emptyStats());
+});
+
+test('rounds add up totals, head-to-heads and the survival board', () => {
+  recordRound(round({ won: true, survivedMs: 5000, kills: 2, opponents: ['AVOIDANT', 'AVOIDANT', 'ENGAGING'] }));
+  recordRound(round({ survivedMs: 3000 }));
+  const stats = loadStats();
+  assert.equal(stats.rounds, 2);
+  assert.equal(stats.wins, 1);
+  assert.equal(stats.survivalMs, 8000);
+  assert.equal(stats.longestMs, 5000);
+  assert.equal(stats.kills, 2);
+  assert.deepEqual(stats.vs, { AVOIDANT: { rounds: 2, wins: 1 }, ENGAGING: { rounds: 1, wins: 1 } });
+  assert.deepEqual(stats.survival.map(e => e.ms), [5000, 3000]);
+});
+
+test('leaderboards keep the best ten', () => {
+  for (let i = 1; i <= 12; i++) recordMatch({ points: i, rounds: 3, format: 'BEST OF 3', won: i > 6 });
+  assert.deepEqual(loadStats().matches.map(e => e.points), [12, 11, 10, 9, 8, 7, 6, 5, 4, 3]);
+});
+
+test('an exported profile imports back, cleaned', () => {
+  recordRound(round({ won: true }));
+  const file = exportStats();
+  resetStats();
+  assert.equal(loadStats().rounds, 0);
+
+  file.stats.kills = -5;
+  file.stats.survival.push({ ms: 'long' });
+  const stats = importStats(JSON.stringify(file));
+  assert.equal(stats.rounds, 1);
+  assert.equal(stats.kills, 0);
+  assert.equal(stats.survival.length, 1);
+  assert.deepEqual(loadStats(), stats);
+});
+
+test('importStats refuses files that are not stats', () => {
+  assert.throws(() => importStats('{'), /not valid JSON/);
+  assert.throws(() => importStats('{"format":"other"}'), /Not a LIGHT BIKE stats file/);
+  assert.throws(() => importStats(JSON.stringify({ format: 'light-bike-stats', version: 99, stats: {} })), /newer than this game/);
+  assert.throws(() => importStats(JSON.stringify({ format: 'light-bike-stats', version: 1, stats: [] })), /stats profile/);
+});
+
+test('a corrupt saved profile loads as empty', () => {
+  storage.set('lightbike.stats', 'not json');
+  assert.deepEqual(loadStats(), emptyStats());
+});
@@ -0,0 +1,42 @@
+// Custom bot modules in worker threads, held to BOT_TIMEOUT_MS.
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+import { loadBotThread } from '../tools/thread-bot.js';
+import { Simulation }    from '../js/simulation.js';
+import { TURN_LEFT }     from '../js/constants.js';
+
+const module = source => `data:text/javascript,${encodeURIComponent(source)}`;
+
+// One bot alone with a human who never steers
+function round(personality) {
+  const sim = new Simulation();
+  sim.start({ seed: 3, humans: 1, config: { bots: 1, pickups: 0, opponents: [{ personality }] } });
+  return sim;
+}
+
+test('a loaded module steers its bike', async t => {
+  const name = await loadBotThread(module(`export default { name: 'LEFTY', decide: () => 'LEFT' }`));
+  assert.equal(name, 'LEFTY');
+  const sim = round(name);
+  t.after(() => sim.dispose());
+  const bike = sim.bikes[1];
+  const dir  = bike.dir;
+  sim.step();
+  assert.equal(bike.dir, TURN_LEFT[dir]);
+});
+
+test('a module that never answers rides straight without stalling the round', async t => {
+  const name = await loadBotThread(module(`export default { name: 'STUCK', decide() { for (;;); } }`));
+  const sim  = round(name);
+  t.after(() => sim.dispose());
+  const bike = sim.bikes[1];
+  const dir  = bike.dir;
+  const start = performance.now();
+  for (let i = 0; i < 5; i++) sim.step();
+  assert.equal(bike.dir, dir);
+  assert.ok(performance.now() - start < 500);
+});
+
+test('a module that fails its checks is refused', async () => {
+  await assert.rejects(loadBotThread(module(`export default { name: '' }`)), /must export default/);
+});
@@ -0,0 +1,34 @@
+// Hosts one custom bot module in a worker thread for headless runs (see
+// thread-bot.js). Like js/bot-worker.js, but answers through shared memory
+// so the simulation can wait for it without going async.
+//
+//   workerData { url, shared }           out  { t: 'ready', name }
+//                                              { t: 'error', message }
+//   in   { seq, snapshot }               shared[1] = DECISIONS index, then shared[0] = seq
+import { parentPort, workerData } from 'node:worker_threads';
+import { checkBotModule, toDecision, DECISIONS } from '../js/bot-api.js';
+
+const shared = new Int32Array(workerData.shared);
+
+let bot = null;
+try {
+  bot = checkBotModule((await import(workerData.url)).default);
+  parentPort.postMessage({ t: 'ready', name: bot.name });
+} catch (err) {
+  parentPort.postMessage({ t: 'error', message: err.message });
+}
+Atomics.store(shared, 2, bot ? 1 : -1);
+Atomics.notify(shared, 2);
+
+parentPort.on('message', ({ seq, snapshot }) => {
+  if (!bot) return;
+  let decision;
+  try {
+    decision = toDecision(bot.decide(snapshot));
+  } catch {
+    decision = 'STRAIGHT';
+  }
+  Atomics.store(shared, 1, DECISIONS.indexOf(decision));
+  Atomics.store(shared, 0, seq);
+  Atomics.notify(shared, 0);
+});
@@ -0,0 +1,11 @@
+// Command-line option checks shared by the tools.
+
+// A whole-number option within [min, max]; undefined stays undefined
+export function wholeNumber(name, value, { min, max = Infinity }) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new Error(`--${name} must be a whole number from ${min}` + (max === Infinity ? ' up' : ` to ${max}`));
+  }
+  return n;
+}
@@ -0,0 +1,224 @@
+// Reinforcement-learning environment around the game rules. One agent rides
+// the player's seat against regular Bot personalities, gym style:
+//
+//   const env = new LightBikeEnv({ opponents: ['AVOIDANT', 'AGGRESSIVE:HARD'] });
+//   let { observation } = env.reset(42);
+//   const { observation, reward, done, info } = env.step('LEFT');
+//
+// Headless and synchronous, so it runs anywhere Node does — no GPU, no
+// browser. tools/rl-stdio.js exposes it to trainers in other languages.
+//
+// Observation:
+//   grid     — (2·view + 1)² cell codes around the agent, turned so the agent
+//              always faces up: row 0 is `view` cells ahead, the middle row
+//              is level with the bike, left is left. See CELL below.
+//   features — numbers in FEATURES order, each roughly 0–1
+import { Simulation } from '../js/simulation.js';
+import { PERSONALITIES, DIFFICULTY_LEVELS } from '../js/bot.js';
+import {
+  DIR_VECTOR, TURN_RIGHT, WALL, JUMP_TICKS, BOOST_METER, GHOST_TICKS, GRID_SIZE,
+} from '../js/constants.js';
+
+export const ACTIONS = ['STRAIGHT', 'LEFT', 'RIGHT', 'JUMP'];
+
+export const CELL = { FREE: 0, WALL: 1, OWN_TRAIL: 2, TRAIL: 3, RIDER: 4, PICKUP: 5 };
+
+export const FEATURES = [
+  'jumpsLeft',     // jumps remaining ÷ jumps per round
+  'airborne',      // fraction of the current jump still to fly
+  'boostMeter',
+  'ghost',         // fraction of a ghost power-up left
+  'x', 'z',        // position across the arena
+  'heading',       // NORTH 0, EAST 0.25, SOUTH 0.5, WEST 0.75
+  'opponents',     // share of opponents still riding
+  'progress',      // tick ÷ maxTicks
+];
+
+// Per-tick reward terms; any can be 0. `territory` pays the share of free
+// cells the agent would reach before any opponent, every tick.
+export const DEFAULT_REWARD = {
+  survive:   1,
+  kill:      25,
+  death:     -50,
+  win:       50,
+  territory: 0,
+};
+
+const HEADINGS = ['NORTH', 'EAST', 'SOUTH', 'WEST'];
+
+// 'AGGRESSIVE' or 'AGGRESSIVE:HARD' → an opponents config entry
+function opponent(spec) {
+  if (typeof spec !== 'string') return spec;
+  const [personality, difficulty = 'NORMAL'] = spec.toUpperCase().split(':');
+  if (personality !== 'RANDOM' && !PERSONALITIES.includes(personality)) {
+    throw new Error(`Unknown personality ${personality}`);
+  }
+  if (!DIFFICULTY_LEVELS.includes(difficulty)) throw new Error(`Unknown difficulty ${difficulty}`);
+  return { personality, difficulty };
+}
+
+export class LightBikeEnv {
+  // options: { opponents, gridSize, map, jumps, pickups, view, maxTicks, reward }
+  constructor({
+    opponents = ['AVOIDANT', 'ENGAGING', 'AGGRESSIVE'],
+    gridSize  = GRID_SIZE,
+    map       = null,
+    jumps,
+    pickups,
+    view      = 10,
+    maxTicks  = 5000,
+    reward    = {},
+  } = {}) {
+    this.opponents = opponents.map(opponent);
+    this.config    = { gridSize, jumps, pickups, bots: this.opponents.length, opponents: this.opponents };
+    this.map       = map;
+    this.view      = view;
+    this.maxTicks  = maxTicks;
+    this.reward    = { ...DEFAULT_REWARD, ...reward };
+    this.sim       = null;
+  }
+
+  // What a trainer needs to size its model
+  get spec() {
+    const side = this.view * 2 + 1;
+    return { actions: ACTIONS, cells: CELL, features: FEATURES, patch: [side, side], reward: this.reward };
+  }
+
+  reset(seed) {
+    this.sim = new Simulation();
+    const opts = { humans: 1, config: this.config, map: this.map };
+    this.sim.start(seed === undefined || seed === null ? opts : { ...opts, seed });
+    this.agent = this.sim.bikes[0];
+    this.kills = 0;
+    return { observation: this._observe(), info: this._info() };
+  }
+
+  // `action` is one of ACTIONS or its index
+  step(action) {
+    if (!this.sim) throw new Error('Call reset() before step()');
+    if (this.done) throw new Error('Episode is over; call reset()');
+
+    const name = typeof action === 'number' ? ACTIONS[action] : action;
+    if (!ACTIONS.includes(name)) throw new Error(`Action must be one of ${ACTIONS.join(', ')} or 0–3`);
+    if (name !== 'STRAIGHT') this.agent.control(name);
+
+    const { kills } = this.sim.step();
+    const r      = this.reward;
+    const me     = this.agent.id;
+    const scored = kills.filter(k => k.by === me && k.bikeId !== me).length;
+    this.kills  += scored;
+
+    let reward = scored * r.kill;
+    if (this.agent.alive) {
+      reward += r.survive;
+      if (r.territory) reward += r.territory * this._territory();
+      if (this.sim.over && this.sim.winner === this.agent) reward += r.win;
+    } else {
+      reward += r.death;
+    }
+    return { observation: this._observe(), reward, done: this.done, info: this._info() };
+  }
+
+  get done() {
+    return !this.agent.alive || this.sim.over || this.sim.tick >= this.maxTicks;
+  }
+
+  // ─── Observation ──────────────────────────────────────────────────────────
+
+  _observe() {
+    const sim  = this.sim, bike = this.agent, n = sim.gridSize, v = this.view;
+    const fwd  = DIR_VECTOR[bike.dir];
+    const right = DIR_VECTOR[TURN_RIGHT[bike.dir]];
+
+    const riders = new Set(sim.bikes.filter(b => b.alive && b !== bike).map(b => b.gz * n + b.gx));
+    const grid   = [];
+    for (let row = 0; row <= 2 * v; row++) {
+      const ahead = v - row;
+      for (let col = 0; col <= 2 * v; col++) {
+        const side = col - v;
+        const gx   = bike.gx + fwd.x * ahead + right.x * side;
+        const gz   = bike.gz + fwd.z * ahead + right.z * side;
+        grid.push(this._cell(gx, gz, riders));
+      }
+    }
+
+    const opponents = sim.bikes.length - 1;
+    const features  = [
+      bike.maxJumps ? (bike.maxJumps - bike.jumpCount) / bike.maxJumps : 0,
+      bike.jumpTicksLeft / JUMP_TICKS,
+      bike.boostMeter / BOOST_METER,
+      bike.ghostTicks / GHOST_TICKS,
+      bike.gx / (n - 1),
+      bike.gz / (n - 1),
+      HEADINGS.indexOf(bike.dir) / 4,
+      opponents ? sim.bikes.filter(b => b.alive && b !== bike).length / opponents : 0,
+      sim.tick / this.maxTicks,
+    ];
+    return { grid, features };
+  }
+
+  _cell(gx, gz, riders) {
+    const sim = this.sim, n = sim.gridSize;
+    if (gx < 0 || gz < 0 || gx >= n || gz >= n) return CELL.WALL;
+    const owner = sim.grid[gz][gx];
+    if (owner === WALL)          return CELL.WALL;
+    if (owner === this.agent.id) return CELL.OWN_TRAIL;
+    if (owner !== null)          return CELL.TRAIL;
+    if (riders.has(gz * n + gx)) return CELL.RIDER;
+    if (sim.pickups.has(gz * n + gx)) return CELL.PICKUP;
+    return CELL.FREE;
+  }
+
+  // Share of free cells the agent reaches strictly first (multi-source BFS)
+  _territory() {
+    const sim = this.sim, n = sim.gridSize;
+    const owner = new Int16Array(n * n).fill(-1);   // -1 unseen, -2 contested
+    const dist  = new Int32Array(n * n);
+    let queue = [];
+    for (const b of sim.bikes) {
+      if (!b.alive) continue;
+      const k = b.gz * n + b.gx;
+      owner[k] = b.id;
+      queue.push(k);
+    }
+    let mine = 0, free = 0;
+    while (queue.length) {
+      const next = [];
+      for (const k of queue) {
+        const gx = k % n, gz = (k - gx) / n;
+        for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+          const x = gx + dx, z = gz + dz;
+          if (x < 0 || z < 0 || x >= n || z >= n || sim.grid[z][x] !== null) continue;
+          const j = z * n + x;
+          if (owner[j] === -1) {
+            owner[j] = owner[k];
+            dist[j]  = dist[k] + 1;
+            next.push(j);
+          } else if (owner[j] !== owner[k] && dist[j] === dist[k] + 1) {
+            owner[j] = -2;
+          }
+        }
+      }
+      queue = next;
+    }
+    for (let j = 0; j < n * n; j++) {
+      if (owner[j] === -1) continue;
+      free++;
+      if (owner[j] === this.agent.id) mine++;
+    }
+    return free ? mine / free : 0;
+  }
+
+  _info() {
+    const sim = this.sim;
+    return {
+      tick:      sim.tick,
+      alive:     this.agent.alive,
+      kills:     this.kills,
+      opponents: sim.bikes.filter(b => b.alive && b !== this.agent).length,
+      won:       sim.over && sim.winner === this.agent,
+      truncated: !sim.over && this.agent.alive && sim.tick >= this.maxTicks,
+      seed:      sim.seed,
+    };
+  }
+}
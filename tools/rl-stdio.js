@@ -0,0 +1,110 @@
+// JSON-lines driver for LightBikeEnv (rl-env.js), so trainers written in
+// any language can run episodes through a pipe: one request per line on
+// stdin, one response per line on stdout.
+//
+//   npm run rl -- --opponents AVOIDANT,AGGRESSIVE:HARD --size 40 --view 8
+//
+//   → { "cmd": "spec" }                 ← { "actions", "cells", "features", "patch", "reward" }
+//   → { "cmd": "reset", "seed": 7 }     ← { "observation", "info" }
+//   → { "cmd": "step", "action": 1 }    ← { "observation", "reward", "done", "info" }
+//   → { "cmd": "close" }                  (or just close stdin)
+//
+// `action` is an index into spec.actions or its name. Anything that goes
+// wrong comes back as { "error": "..." } and the session carries on.
+import { createInterface } from 'node:readline';
+import { parseArgs }       from 'node:util';
+import { LightBikeEnv, DEFAULT_REWARD } from './rl-env.js';
+import { BUILTIN_MAPS }    from '../js/maps.js';
+import { CONFIG_LIMITS }   from '../js/config.js';
+import { wholeNumber }     from './options.js';
+
+const USAGE = `Usage: node tools/rl-stdio.js [options]
+
+  --opponents LIST   comma-separated PERSONALITY[:DIFFICULTY] (default AVOIDANT,ENGAGING,AGGRESSIVE)
+  --size N           open arena size
+  --map ID           ${BUILTIN_MAPS.map(m => m.id).join(' | ')}
+  --jumps N          jumps per rider
+  --pickups N        power-ups on the grid at once
+  --view N           observation radius in cells (default 10)
+  --max-ticks N      end episodes after this many ticks (default 5000)
+  --reward LIST      term=weight pairs, e.g. survive=1,kill=25,territory=2
+                     terms: ${Object.keys(DEFAULT_REWARD).join(', ')}`;
+
+function parseReward(text = '') {
+  const reward = {};
+  for (const pair of text.split(',').filter(Boolean)) {
+    const [term, weight] = pair.split('=');
+    if (!(term in DEFAULT_REWARD) || !Number.isFinite(Number(weight))) {
+      throw new Error(`Bad reward term "${pair}"`);
+    }
+    reward[term] = Number(weight);
+  }
+  return reward;
+}
+
+function createEnv() {
+  const { values } = parseArgs({
+    options: {
+      opponents:   { type: 'string' },
+      size:        { type: 'string' },
+      map:         { type: 'string' },
+      jumps:       { type: 'string' },
+      pickups:     { type: 'string' },
+      view:        { type: 'string' },
+      'max-ticks': { type: 'string' },
+      reward:      { type: 'string' },
+      help:        { type: 'boolean' },
+    },
+  });
+  if (values.help) {
+    console.error(USAGE);
+    process.exit(0);
+  }
+  const map = values.map ? BUILTIN_MAPS.find(m => m.id === values.map) : null;
+  if (values.map && !map) throw new Error(`Unknown map ${values.map}`);
+
+  return new LightBikeEnv({
+    opponents: values.opponents?.split(',').map(s => s.trim()).filter(Boolean),
+    gridSize:  wholeNumber('size',      values.size,         CONFIG_LIMITS.gridSize),
+    map:       map?.map ?? null,
+    jumps:     wholeNumber('jumps',     values.jumps,        CONFIG_LIMITS.jumps),
+    pickups:   wholeNumber('pickups',   values.pickups,      CONFIG_LIMITS.pickups),
+    view:      wholeNumber('view',      values.view,         { min: 1, max: CONFIG_LIMITS.gridSize.max }),
+    maxTicks:  wholeNumber('max-ticks', values['max-ticks'], { min: 1 }),
+    reward:    parseReward(values.reward),
+  });
+}
+
+function handle(env, msg) {
+  switch (msg?.cmd) {
+    case 'spec':  return env.spec;
+    case 'reset': return env.reset(msg.seed);
+    case 'step':  return env.step(msg.action);
+    default:      throw new Error('cmd must be spec, reset, step or close');
+  }
+}
+
+let env;
+try {
+  env = createEnv();
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+const lines = createInterface({ input: process.stdin, crlfDelay: Infinity });
+lines.on('line', line => {
+  if (!line.trim()) return;
+  let reply;
+  try {
+    const msg = JSON.parse(line);
+    if (msg?.cmd === 'close') {
+      lines.close();
+      return;
+    }
+    reply = handle(env, msg);
+  } catch (err) {
+    reply = { error: err.message };
+  }
+  process.stdout.write(JSON.stringify(reply) + '\n');
+});
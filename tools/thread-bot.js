@@ -0,0 +1,75 @@
+// Runs custom bot modules in worker threads for headless play, held to the
+// same BOT_TIMEOUT_MS as the browser's workers (bot-loader.js). Simulation
+// is synchronous, so decide() blocks on shared memory until the answer
+// lands or time is up — none in time means STRAIGHT.
+import { Worker } from 'node:worker_threads';
+import { BOT_TIMEOUT_MS, DECISIONS } from '../js/bot-api.js';
+import { registerBot } from '../js/bot.js';
+
+const THREAD_URL = new URL('./bot-thread.js', import.meta.url);
+const LOAD_MS    = 5000;   // to import and check the module
+const HUNG_MS    = 1000;   // a thread this late on one answer is shut down
+
+// shared: [0] last answered seq, [1] its DECISIONS index, [2] 1 loaded / -1 failed
+class ThreadBot {
+  constructor(url) {
+    this._shared  = new Int32Array(new SharedArrayBuffer(3 * 4));
+    this._seq     = 0;             // last question asked
+    this._askedAt = 0;
+    this._worker  = new Worker(THREAD_URL, { workerData: { url, shared: this._shared.buffer } });
+    this._worker.unref();
+    this.loaded = new Promise((resolve, reject) => {
+      this._worker.on('message', data => {
+        if (data.t === 'ready') resolve(data.name);
+        else                    reject(new Error(data.message));
+      });
+      this._worker.on('error', err => reject(new Error(err.message || 'Bot module failed to load')));
+      setTimeout(() => reject(new Error('Bot module took too long to load')), LOAD_MS).unref();
+    });
+    this.loaded.catch(() => {});   // a failed load just leaves the bot riding straight
+  }
+
+  // Between ticks (Bot.prepare). The first call waits for the module to
+  // load, so loading doesn't eat into the first decision's time.
+  prepare() {
+    if (!this._worker || Atomics.load(this._shared, 2) !== 0) return;
+    Atomics.wait(this._shared, 2, 0, LOAD_MS);
+    if (Atomics.load(this._shared, 2) !== 1) this.dispose();
+  }
+
+  decide(snapshot) {
+    if (!this._worker || Atomics.load(this._shared, 2) !== 1) return 'STRAIGHT';
+    if (Atomics.load(this._shared, 0) !== this._seq) {
+      // Still busy on an older tick: skip this one, or give up on it
+      if (performance.now() - this._askedAt > HUNG_MS) this.dispose();
+      return 'STRAIGHT';
+    }
+    const seq = ++this._seq;
+    this._askedAt = performance.now();
+    this._worker.postMessage({ seq, snapshot });
+    for (let seen; (seen = Atomics.load(this._shared, 0)) !== seq;) {
+      const left = this._askedAt + BOT_TIMEOUT_MS - performance.now();
+      if (left <= 0) return 'STRAIGHT';
+      Atomics.wait(this._shared, 0, seen, left);
+    }
+    return DECISIONS[Atomics.load(this._shared, 1)];
+  }
+
+  dispose() {
+    this._worker?.terminate();
+    this._worker = null;
+  }
+}
+
+// Load a bot module from a file URL, check it and register it. Every rider
+// gets its own thread and so a fresh copy of the module. Resolves to the
+// name it registered under.
+export async function loadBotThread(url) {
+  const probe = new ThreadBot(url);
+  try {
+    const name = await probe.loaded;
+    return registerBot(name, () => new ThreadBot(url));
+  } finally {
+    probe.dispose();
+  }
+}
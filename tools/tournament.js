@@ -0,0 +1,260 @@
+// Headless bot tournament. Plays many rounds between built-in personalities,
+// tuned variants of them and plug-in bot modules, then writes a JSON and a
+// CSV report with win / draw / survival statistics and Elo ratings.
+//
+//   npm run tournament -- --bots AVOIDANT,ENGAGING,AGGRESSIVE --games 2000
+//   node tools/tournament.js --bots ENGAGING,ENGAGING+reach=6,bots/wallhugger.js
+//
+// An entrant is BASE[:DIFFICULTY][+weight=value...]:
+//   BASE        a personality (AVOIDANT, ENGAGING, ...) or a bot module path
+//   DIFFICULTY  EASY | NORMAL | HARD (built-ins only; default NORMAL)
+//   +weight     overrides one of that personality's WEIGHTS in bot.js,
+//               e.g. AGGRESSIVE+intercept=0.8+huntRange=40
+//
+// Every round seats all entrants together. Seats rotate every round and the
+// seed moves on once each entrant has had every seat, so spawn luck evens out.
+// Plug-in modules run in worker threads (thread-bot.js), one per rider, and
+// are held to BOT_TIMEOUT_MS a decision like in the browser.
+import { parseArgs }     from 'node:util';
+import { writeFile }     from 'node:fs/promises';
+import { resolve }       from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { Simulation } from '../js/simulation.js';
+import { PERSONALITIES, DIFFICULTY_LEVELS, WEIGHTS } from '../js/bot.js';
+import { loadBotThread } from './thread-bot.js';
+import { wholeNumber }   from './options.js';
+import { CONFIG_LIMITS }  from '../js/config.js';
+import { BUILTIN_MAPS }   from '../js/maps.js';
+import { GRID_SIZE }      from '../js/constants.js';
+
+const ELO_START = 1500;
+const ELO_K     = 16;
+
+const USAGE = `Usage: node tools/tournament.js [options]
+
+  --bots LIST       comma-separated entrants (default: every personality)
+  --games N         rounds to play (default 1000)
+  --seed N          first seed (default 1)
+  --size N          open arena size (default ${GRID_SIZE})
+  --map ID          ${BUILTIN_MAPS.map(m => m.id).join(' | ')} (default open)
+  --jumps N         jumps per rider
+  --pickups N       power-ups on the grid at once
+  --max-ticks N     call a round a draw after this many ticks (default 5000)
+  --out PATH        report prefix; writes PATH.json and PATH.csv (default tournament)
+  --help
+
+A round takes under a second at the defaults on one core, so the default
+1000 games run for about a quarter of an hour; bigger arenas, more entrants
+or higher --max-ticks take longer.`;
+
+// ─── Entrants ────────────────────────────────────────────────────────────────
+
+function isModulePath(base) {
+  return /[/\\]|\.m?js$/.test(base);
+}
+
+// One entrant spec → { label, personality, difficulty, weights }
+async function parseEntrant(spec) {
+  const [head, ...tweaks] = spec.split('+');
+  const [base, difficulty = 'NORMAL'] = head.split(':');
+
+  if (isModulePath(base)) {
+    if (tweaks.length) throw new Error(`${spec}: weights only apply to built-in personalities`);
+    const name = await loadBotThread(pathToFileURL(resolve(base)).href);
+    return { label: spec, personality: name, difficulty: 'NORMAL', weights: WEIGHTS };
+  }
+
+  const personality = base.toUpperCase();
+  if (!PERSONALITIES.includes(personality)) throw new Error(`${spec}: unknown personality ${base}`);
+  if (!DIFFICULTY_LEVELS.includes(difficulty.toUpperCase())) {
+    throw new Error(`${spec}: difficulty must be ${DIFFICULTY_LEVELS.join(', ')}`);
+  }
+
+  const table = WEIGHTS[personality];
+  const own   = { ...table };
+  for (const tweak of tweaks) {
+    const [key, value] = tweak.split('=');
+    if (!table || !(key in table)) {
+      throw new Error(`${spec}: ${personality} has no weight "${key}"` +
+        (table ? ` (try ${Object.keys(table).join(', ')})` : ''));
+    }
+    if (!Number.isFinite(Number(value))) throw new Error(`${spec}: ${key} needs a number`);
+    own[key] = Number(value);
+  }
+  const weights = table ? { ...WEIGHTS, [personality]: own } : WEIGHTS;
+  return { label: spec, personality, difficulty: difficulty.toUpperCase(), weights };
+}
+
+// ─── Rounds ──────────────────────────────────────────────────────────────────
+
+// Play one round with entrants seated in `order`. Returns each seat's
+// survival ticks and the winning seat (null for a draw).
+function playRound(entrants, order, seed, opts) {
+  const sim = new Simulation();
+  sim.start({
+    seed,
+    humans: 0,
+    map:    opts.map,
+    config: {
+      gridSize:  opts.size,
+      bots:      order.length,
+      jumps:     opts.jumps,
+      pickups:   opts.pickups,
+      opponents: order.map(i => ({
+        personality: entrants[i].personality,
+        difficulty:  entrants[i].difficulty,
+      })),
+    },
+  });
+  sim.bots.forEach((bot, seat) => { bot.weights = entrants[order[seat]].weights; });
+
+  // A rider survived every tick before the one it crashed on, so the last
+  // one out always ranks strictly below the winner
+  const survived = new Array(order.length).fill(null);
+  while (!sim.over && sim.tick < opts.maxTicks) {
+    const { died } = sim.step();
+    for (const id of died) survived[sim.bikes.findIndex(b => b.id === id)] = sim.tick - 1;
+  }
+  sim.dispose();
+
+  const ticks = survived.map(t => t ?? sim.tick);
+  const seat  = sim.over && sim.winner ? sim.bikes.indexOf(sim.winner) : null;
+  return { ticks, winner: seat };
+}
+
+// Free-for-all Elo: every pair in the round is a game, decided by who
+// survived longer. K is shared out so a round moves ratings as much as one
+// head-to-head would.
+function updateElo(stats, seated, ticks) {
+  const k     = ELO_K / Math.max(1, seated.length - 1);
+  const delta = new Array(seated.length).fill(0);
+  for (let a = 0; a < seated.length; a++) {
+    for (let b = a + 1; b < seated.length; b++) {
+      const ra = stats[seated[a]].elo, rb = stats[seated[b]].elo;
+      const expected = 1 / (1 + 10 ** ((rb - ra) / 400));
+      const score    = ticks[a] > ticks[b] ? 1 : ticks[a] < ticks[b] ? 0 : 0.5;
+      delta[a] += k * (score - expected);
+      delta[b] -= k * (score - expected);
+    }
+  }
+  seated.forEach((e, i) => { stats[e].elo += delta[i]; });
+}
+
+// ─── Report ──────────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = ['label', 'personality', 'difficulty', 'games', 'wins', 'draws', 'losses',
+                     'winRate', 'avgSurvival', 'elo'];
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function summarize(entrants, stats) {
+  return entrants.map((e, i) => {
+    const s = stats[i];
+    return {
+      label:       e.label,
+      personality: e.personality,
+      difficulty:  e.difficulty,
+      games:       s.games,
+      wins:        s.wins,
+      draws:       s.draws,
+      losses:      s.games - s.wins - s.draws,
+      winRate:     +(s.wins / Math.max(1, s.games)).toFixed(4),
+      avgSurvival: +(s.ticks / Math.max(1, s.games)).toFixed(1),
+      elo:         Math.round(s.elo),
+    };
+  }).sort((a, b) => b.elo - a.elo);
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      bots:        { type: 'string', default: PERSONALITIES.join(',') },
+      games:       { type: 'string', default: '1000' },
+      seed:        { type: 'string', default: '1' },
+      size:        { type: 'string', default: String(GRID_SIZE) },
+      map:         { type: 'string', default: 'open' },
+      jumps:       { type: 'string' },
+      pickups:     { type: 'string' },
+      'max-ticks': { type: 'string', default: '5000' },
+      out:         { type: 'string', default: 'tournament' },
+      help:        { type: 'boolean' },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const entrants = [];
+  for (const spec of values.bots.split(',').map(s => s.trim()).filter(Boolean)) {
+    entrants.push(await parseEntrant(spec));
+  }
+  const { min, max } = CONFIG_LIMITS.bots;
+  if (entrants.length < Math.max(2, min) || entrants.length > max) {
+    throw new Error(`Need 2–${max} entrants, got ${entrants.length}`);
+  }
+  const map = BUILTIN_MAPS.find(m => m.id === values.map);
+  if (!map) throw new Error(`Unknown map ${values.map}`);
+  if (map.map && map.map.spawns.length < entrants.length) {
+    throw new Error(`${map.name} only seats ${map.map.spawns.length}`);
+  }
+
+  const opts = {
+    map:      map.map,
+    size:     wholeNumber('size',      values.size,         CONFIG_LIMITS.gridSize),
+    jumps:    wholeNumber('jumps',     values.jumps,        CONFIG_LIMITS.jumps),
+    pickups:  wholeNumber('pickups',   values.pickups,      CONFIG_LIMITS.pickups),
+    maxTicks: wholeNumber('max-ticks', values['max-ticks'], { min: 1 }),
+  };
+  const games = wholeNumber('games', values.games, { min: 1 });
+  const seed  = Number(values.seed);
+  if (!Number.isInteger(seed)) throw new Error('--seed must be a whole number');
+
+  const stats = entrants.map(() => ({ games: 0, wins: 0, draws: 0, ticks: 0, elo: ELO_START }));
+  const n     = entrants.length;
+  const start = Date.now();
+  for (let round = 0; round < games; round++) {
+    const order = entrants.map((_, seat) => (seat + round) % n);
+    const { ticks, winner } = playRound(entrants, order, seed + Math.floor(round / n), opts);
+    order.forEach((e, seat) => {
+      stats[e].games++;
+      stats[e].ticks += ticks[seat];
+      if (winner === seat) stats[e].wins++;
+      else if (winner === null && ticks[seat] === Math.max(...ticks)) stats[e].draws++;
+    });
+    updateElo(stats, order, ticks);
+
+    if ((round + 1) % Math.max(1, Math.floor(games / 20)) === 0 || round + 1 === games) {
+      process.stderr.write(`\r${round + 1}/${games} rounds  ${((Date.now() - start) / 1000).toFixed(0)}s`);
+    }
+  }
+  process.stderr.write('\n');
+
+  const results = summarize(entrants, stats);
+  const report  = {
+    settings: {
+      bots: entrants.map(e => e.label), games, seed, map: values.map,
+      size: opts.map ? opts.map.size : opts.size, jumps: opts.jumps, pickups: opts.pickups,
+      maxTicks: opts.maxTicks,
+    },
+    results,
+  };
+  const csv = [CSV_COLUMNS, ...results.map(r => CSV_COLUMNS.map(c => r[c]))]
+    .map(row => row.map(csvCell).join(','))
+    .join('\n') + '\n';
+
+  await writeFile(`${values.out}.json`, JSON.stringify(report, null, 2) + '\n');
+  await writeFile(`${values.out}.csv`, csv);
+  console.table(results);
+  console.log(`Wrote ${values.out}.json and ${values.out}.csv`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});